@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * 和時計のコマンドライン（wadokei）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   盤面と同じ計算（wadokei.mjs）で、現在の刻・1 日の刻の表・期間の刻の時刻表・二十四節気を表示し、
+ *   節気・雑節の暦を iCalendar（.ics）で書き出す。
+ *   観測地・昼夜境界などの既定値は config/config.json を使う。
+ *
+ * 使い方:
+ *   node bin/wadokei.mjs now [--lat 35.68 --lon 139.76] [--at 2026-12-22T23:00]
+ *   node bin/wadokei.mjs table 2026-06-21 [--place kyo]
+ *   node bin/wadokei.mjs timetable 2026-06-01 2026-06-30 [--half] [--csv > june.csv]
+ *   node bin/wadokei.mjs sekki 2027
+ *   node bin/wadokei.mjs ics 2027 [--ake-kure] > wadokei-2027.ics
+ *
+ * オプション（すべてのコマンド共通）:
+ *   --lat, --lon      観測地の緯度・経度（度）
+ *   --place           観測地のプリセット（domain/places.mjs の id または名前）
+ *   --tz              タイムゾーン（IANA 名。省略時は観測地から決める。推定になるときは stderr に候補を出す）
+ *   --boundary        昼夜境界（日出入 / 伏角 / 天保暦 / 二刻半）
+ *   --day-boundary    日の区切り（正子 / 明け六つ）
+ *   --at              now の日時（観測地の時刻。省略時は現在）
+ *   --half            timetable に正刻（半刻の境目）も出す
+ *   --json            JSON で出力する
+ *   --csv             timetable を CSV で出力する
+ *   --ake-kure        ics に毎日の明け六つ・暮れ六つも入れる
+ */
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  ComputeSunData, computeKokuTable, toWadoTime, kokuName, getSekki, getSekkiForYear, getKyureki, formatKyureki,
+  buildKokuTimetable, timetableToCsv, timetableToJson, getZassetsuForYear, buildSeasonalCalendar,
+  findPlace, findPlaceByCoords, resolveTimeZoneInfo, timeZoneCandidates, zonedTimeToUtc,
+  formatDateTime, formatDateKey, formatTime, formatMonthDayTime, formatUtcOffset, formatTimeDifference
+} from "../wadokei.mjs";
+
+const USAGE = `使い方:
+  wadokei now   [--lat <緯度> --lon <経度>] [--at <日時>]   現在の刻
+  wadokei table <YYYY-MM-DD>                               その日の刻の表
+  wadokei timetable <YYYY-MM-DD> <YYYY-MM-DD> [--half]     期間の刻の時刻表（--csv / --json で書き出し）
+  wadokei sekki <年>                                       二十四節気・雑節の一覧
+  wadokei ics <年> [--ake-kure]                            節気・雑節の暦（iCalendar）
+
+オプション:
+  --lat, --lon <度>     観測地（省略時は config/config.json）
+  --place <id|名前>     観測地のプリセット（edo, kyo, osaka など）
+  --tz <IANA 名>        タイムゾーン（省略時は観測地から決める）
+  --boundary <model>    昼夜境界（日出入 / 伏角 / 天保暦 / 二刻半）
+  --day-boundary <区切り> 日の区切り（正子 / 明け六つ）
+  --adjust <間隔>       昼夜の割りを変える間隔（毎日 / 節気。節気は割駒を節気ごとに掛け替えた和時計）
+  --at <日時>           now の日時（例: 2026-12-22T23:00、観測地の時刻）
+  --half                timetable に正刻（半刻の境目）も出す
+  --json                JSON で出力する
+  --csv                 timetable を CSV で出力する
+  --ake-kure            ics に毎日の明け六つ・暮れ六つも入れる`;
+
+/* config/config.json（読めなければ {}）
+  */
+function loadFileConfig() {
+  try {
+    return JSON.parse(readFileSync(new URL("../config/config.json", import.meta.url), "utf8"));
+  } catch (e) {
+    return {};
+  }
+}
+
+/* 観測地の決定（オプション > config.json）
+  * 戻り値: { lat, lon, name, timeZone, boundary, dayBoundary, adjustMode, calMode }
+  */
+function resolveLocation(values, config) {
+  const loc = {
+    lat: config.lat,
+    lon: config.lon,
+    name: config.placeName || "",
+    timeZone: config.timeZone,
+    boundary: config.boundary,
+    dayBoundary: config.dayBoundary,
+    adjustMode: config.adjustMode,
+    calMode: config.calMode
+  };
+
+  if (values.place !== undefined) {
+    const preset = findPlace(values.place);
+    if (!preset) throw new Error(`観測地のプリセットが見つかりません: ${values.place}`);
+    Object.assign(loc, { lat: preset.lat, lon: preset.lon, name: preset.name, timeZone: preset.timeZone });
+  }
+  if (values.lat !== undefined || values.lon !== undefined) {
+    const lat = Number(values.lat ?? loc.lat);
+    const lon = Number(values.lon ?? loc.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw new Error("緯度・経度が正しくありません");
+    }
+    const preset = findPlaceByCoords(lat, lon);
+    Object.assign(loc, { lat, lon, name: preset ? preset.name : "", timeZone: "auto" });
+  }
+  if (values.tz !== undefined) {
+    checkTimeZone(values.tz);
+    loc.timeZone = values.tz;
+  }
+  if (values.boundary !== undefined) loc.boundary = { model: values.boundary };
+  if (values["day-boundary"] !== undefined) loc.dayBoundary = values["day-boundary"];
+  if (values.adjust !== undefined) loc.adjustMode = values.adjust;
+
+  const zone = resolveTimeZoneInfo(loc.timeZone, loc.lat, loc.lon);
+  loc.timeZone = zone.timeZone;
+  if (!loc.name) loc.name = formatLatLon(loc.lat, loc.lon);
+  if (zone.guessed) warnGuessedTimeZone(zone, loc);
+  return loc;
+}
+
+/* --tz の確認（Intl が解釈できない名前は例外。推定に置き換えて黙って続けない）
+  */
+function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("ja-JP", { timeZone });
+  } catch (e) {
+    throw new Error(`タイムゾーンを解釈できません: ${timeZone}`);
+  }
+}
+
+/* タイムゾーンが推定のとき、--tz で地域名を指定するよう stderr に出す（出力そのものは続ける）
+  */
+function warnGuessedTimeZone(zone, loc) {
+  const basis = zone.source === "longitude" ? "経度からの推定で、夏時間は反映されません" : "端末のタイムゾーンからの推定です";
+  const candidates = timeZoneCandidates(loc.lon);
+  const examples = candidates.length > 6 ? `${candidates.slice(0, 6).join(", ")} ほか ${candidates.length - 6} 件` : candidates.join(", ");
+  console.error(
+    `wadokei: タイムゾーン ${zone.timeZone} は${basis}。--tz で IANA 名を指定してください` +
+      (examples ? `（候補: ${examples}）` : "")
+  );
+}
+
+/* 緯度経度の表示（core/location.js と同じ表記）
+  */
+function formatLatLon(lat, lon) {
+  const ns = lat >= 0 ? "北緯" : "南緯";
+  const ew = lon >= 0 ? "東経" : "西経";
+  return `${ns} ${Math.abs(lat).toFixed(2)}° ${ew} ${Math.abs(lon).toFixed(2)}°`;
+}
+
+/* 日時の解釈（オフセットの無いものは観測地の時刻）
+  * 戻り値: Date（解釈できなければ例外）
+  */
+function parseDateArg(value, timeZone) {
+  const m = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  const date = m
+    ? new Date(zonedTimeToUtc(...m.slice(1).map(v => Number(v || 0)), timeZone))
+    : new Date(value);
+  if (!Number.isFinite(date.getTime())) throw new Error(`日時を解釈できません: ${value}`);
+  return date;
+}
+
+/* 刻の呼び名（例: "昼八つ（未の刻）"）
+  */
+function kokuLabel(k) {
+  return `${kokuName(k)}（${k.zodiac}の刻）`;
+}
+
+/* 時間の長さ（例: "2時間14分"）
+  */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return `${Math.floor(minutes / 60)}時間${String(minutes % 60).padStart(2, "0")}分`;
+}
+
+/* 割駒（--adjust 節気）の行: 合わせた節気と、実際の明け六つ・暮れ六つとの差（毎日なら出さない）
+  */
+function adjustLines(sun, tz) {
+  if (sun.adjustMode !== "節気") return [];
+  const { adjustSekki, exact } = sun;
+  return [
+    `割駒: ${adjustSekki.name}の節入り（${formatMonthDayTime(adjustSekki.start, tz)}）の日に合わせた目盛り  ` +
+      `実際との差: 明け六つ ${formatTimeDifference(sun.ake - exact.ake)}（${formatTime(new Date(exact.ake), tz)}）` +
+      `  暮れ六つ ${formatTimeDifference(sun.kure - exact.kure)}（${formatTime(new Date(exact.kure), tz)}）`
+  ];
+}
+
+/* 割駒（--adjust 節気）の JSON 項目
+  */
+function adjustJson(sun) {
+  if (sun.adjustMode !== "節気") return {};
+  return {
+    adjustMode: sun.adjustMode,
+    adjustSekki: sun.adjustSekki.name,
+    exactAke: new Date(sun.exact.ake),
+    exactKure: new Date(sun.exact.kure)
+  };
+}
+
+/* now: 現在の刻
+  */
+function commandNow(values, loc) {
+  const date = values.at !== undefined ? parseDateArg(values.at, loc.timeZone) : new Date();
+  const sun = ComputeSunData(date, loc);
+  const wado = toWadoTime(date, loc);
+  const sekki = getSekki(date);
+  const kyureki = getKyureki(date, loc.calMode, loc.timeZone);
+  const tz = loc.timeZone;
+
+  if (values.json) {
+    return { place: loc.name, lat: loc.lat, lon: loc.lon, timeZone: tz, date, wado, ake: new Date(sun.ake), kure: new Date(sun.kure), polar: sun.polar, ...adjustJson(sun), sekki: sekki.name, kyureki };
+  }
+  return [
+    `${loc.name}  ${formatDateTime(date, tz)}（${tz} ${formatUtcOffset(date, tz)}）`,
+    `${kokuLabel(wado)}  ${Math.floor(wado.fraction * 100)}% 経過  ${formatTime(new Date(wado.start), tz)}〜${formatTime(new Date(wado.end), tz)}`,
+    `明け六つ ${formatTime(new Date(sun.ake), tz)}  暮れ六つ ${formatTime(new Date(sun.kure), tz)}  昼夜境界: ${sun.boundary.label}` +
+      (sun.polar ? `（${sun.polar}のため南中の前後 6 時間）` : ""),
+    ...adjustLines(sun, tz),
+    `節気: ${sekki.name}（${formatMonthDayTime(sekki.start, tz)}〜） 次: ${sekki.next.name} ${formatMonthDayTime(sekki.end, tz)}`,
+    `旧暦: ${kyureki.calMode} ${formatKyureki(kyureki)}`
+  ].join("\n");
+}
+
+/* table: その日の刻の表（その日に掛かる刻。前日・翌日の時刻は日付を添える）
+  */
+function commandTable(values, loc, dateArg) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateArg || "")) throw new Error("日付を YYYY-MM-DD で指定してください");
+  const tz = loc.timeZone;
+  const [y, m, d] = dateArg.split("-").map(Number);
+  if (formatDateKey(new Date(Date.UTC(y, m - 1, d)), "UTC") !== dateArg) throw new Error(`日付が正しくありません: ${dateArg}`);
+  const sun = ComputeSunData(new Date(zonedTimeToUtc(y, m, d, 12, 0, 0, tz)), loc);
+  const rows = computeKokuTable(sun).filter(k => k.end > sun.dayStart && k.start < sun.dayEnd);
+
+  if (values.json) {
+    return {
+      place: loc.name, lat: loc.lat, lon: loc.lon, timeZone: tz, date: dateArg,
+      ake: new Date(sun.ake), kure: new Date(sun.kure), polar: sun.polar, dayBoundary: sun.dayBoundary, ...adjustJson(sun),
+      koku: rows.map(k => ({ ...k, start: new Date(k.start), center: new Date(k.center), end: new Date(k.end) }))
+    };
+  }
+  const time = t => formatDateKey(new Date(t), tz) === dateArg ? formatTime(new Date(t), tz) : formatMonthDayTime(new Date(t), tz);
+  return [
+    `${loc.name}  ${dateArg}（${tz}）  昼夜境界: ${sun.boundary.label}` + (sun.polar ? `（${sun.polar}）` : ""),
+    `明け六つ ${time(sun.ake)}  暮れ六つ ${time(sun.kure)}  日の区切り: ${sun.dayBoundary}`,
+    ...adjustLines(sun, tz),
+    "",
+    ...rows.map(k => `${kokuLabel(k).padEnd(9, "　")} ${time(k.start).padStart(10)} 〜 ${time(k.end).padEnd(10)} 正刻 ${time(k.center).padEnd(10)} ${formatDuration(k.end - k.start)}`)
+  ].join("\n");
+}
+
+/* timetable: 期間の刻の時刻表（1 日 1 行。各刻の開始、--half なら正刻も）
+  */
+function commandTimetable(values, loc, fromArg, toArg) {
+  if (!fromArg) throw new Error("期間を YYYY-MM-DD YYYY-MM-DD で指定してください");
+  const table = buildKokuTimetable(fromArg, toArg || fromArg, loc);
+  const opt = { half: values.half };
+
+  if (values.csv) return timetableToCsv(table, opt);
+  if (values.json) return timetableToJson(table, opt);
+
+  const tz = loc.timeZone;
+  const time = d => d ? formatTime(d, tz) : "--:--";
+  const first = table.days[0];
+  return [
+    `${loc.name}  ${first.date}〜${table.days[table.days.length - 1].date}（${tz}）`,
+    "",
+    `日付        節気  明け六つ 暮れ六つ 昼の一刻 夜の一刻  ` +
+      first.koku.map(k => opt.half ? `${k.zodiac}　 ${k.zodiac}正 ` : `${k.zodiac}　 `).join("").trimEnd(),
+    ...table.days.map(day => [
+      day.date,
+      day.sekki.padEnd(2, "　"),
+      ` ${time(day.ake)}`,
+      `   ${time(day.kure)}`,
+      `  ${day.dayKokuMinutes.toFixed(1).padStart(5)}分`,
+      ` ${day.nightKokuMinutes.toFixed(1).padStart(5)}分 `,
+      ...day.koku.map(k => opt.half ? `${time(k.start)} ${time(k.center)}` : time(k.start))
+    ].join(" "))
+  ].join("\n");
+}
+
+/* sekki: 指定年の二十四節気と雑節
+  */
+function commandSekki(values, loc, yearArg) {
+  const year = Number(yearArg);
+  if (!Number.isInteger(year)) throw new Error("年を数字で指定してください");
+  const tz = loc.timeZone;
+  const list = getSekkiForYear(year);
+  const zassetsu = getZassetsuForYear(year, tz);
+
+  if (values.json) {
+    return { year, timeZone: tz, sekki: list, zassetsu };
+  }
+  return [
+    `${year}年の二十四節気（${tz}）`,
+    ...list.map(s => `${formatDateTime(s.start, tz).slice(0, -3)}  ${s.name}（太陽黄経 ${s.longitude}°）`),
+    "",
+    `${year}年の雑節`,
+    ...zassetsu.map(z => `${z.start}${z.end !== z.start ? `〜${z.end}` : "".padEnd(11)}  ${z.name}（${z.description}）`)
+  ].join("\n");
+}
+
+/* ics: 指定年の節気・雑節（--ake-kure なら毎日の明け六つ・暮れ六つも）の iCalendar
+  */
+function commandIcs(values, loc, yearArg) {
+  return buildSeasonalCalendar(Number(yearArg), loc, { akeKure: values["ake-kure"] });
+}
+
+const COMMANDS = { now: commandNow, table: commandTable, timetable: commandTimetable, sekki: commandSekki, ics: commandIcs };
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      lat: { type: "string" },
+      lon: { type: "string" },
+      place: { type: "string" },
+      tz: { type: "string" },
+      boundary: { type: "string" },
+      "day-boundary": { type: "string" },
+      adjust: { type: "string" },
+      at: { type: "string" },
+      half: { type: "boolean" },
+      json: { type: "boolean" },
+      csv: { type: "boolean" },
+      "ake-kure": { type: "boolean" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  const [name, ...args] = positionals;
+  if (values.help || !name || name === "help") {
+    console.log(USAGE);
+    return 0;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`不明なコマンドです: ${name}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const loc = resolveLocation(values, loadFileConfig());
+  const result = command(values, loc, ...args);
+  if (typeof result !== "string") {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    // CSV・iCalendar は末尾の改行（CRLF）まで含めてそのまま出す
+    process.stdout.write(result.endsWith("\n") ? result : `${result}\n`);
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  console.error(`wadokei: ${e.message}`);
+  process.exitCode = 1;
+}
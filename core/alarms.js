@@ -0,0 +1,394 @@
+/**
+ * 不定時法のアラーム（Wadokei Alarms）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   「暁七つ 毎日」「暮六つ 秋分の日」のように不定時法で決めたアラームを鳴らす。
+ *   鳴る時刻は盤面と同じ ake/kure から求め（domain/alarm.mjs の nextAlarmTime）、季節とともに動く。
+ *   アラームは localStorage に保存し、鳴ったらページ上のバナーと（許可があれば）ブラウザの通知で知らせる。
+ *
+ * アラームの形（localStorage に保存する内容）:
+ *   { id, label, time: "暁七つ", repeat: { type, sekki, weekdays }, enabled, snoozedUntil }
+ *   repeat は domain/alarm.mjs を参照。snoozedUntil はスヌーズ中の再通知時刻（ミリ秒）
+ *
+ * 備考:
+ *   - 時刻源（Wadokei.now()）が実時間で進んでいるときだけ鳴らす（停止・倍速中は鳴らさない）。
+ *   - タブが裏にあるとタイマーが遅れるため、ALARM_LATE_MS 以内の遅れなら鳴らす。
+ *
+ * 公開関数:
+ *   Wadokei.addAlarm()    - アラームの追加
+ *   Wadokei.updateAlarm() - アラームの変更
+ *   Wadokei.removeAlarm() - アラームの削除
+ *   Wadokei.snoozeAlarm() - 鳴っているアラームを後で鳴らし直す
+ */
+
+// localStorage のキー
+const ALARM_STORAGE_KEY = "wadokei.alarms";
+
+// スヌーズの長さ（分）
+const ALARM_SNOOZE_MINUTES = 10;
+
+// この時間を過ぎたアラームは鳴らさない（時間旅行で飛び越えたときなど）
+const ALARM_LATE_MS = 10 * 60 * 1000;
+
+// 次の確認までの最長間隔（観測地の変更などを拾うため）
+const ALARM_CHECK_MS = 60 * 1000;
+
+/* 保存したアラーム
+  * 戻り値: アラームの配列（解釈できないものは除く）
+  */
+function loadAlarms() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(ALARM_STORAGE_KEY) || "[]");
+  } catch (e) {
+    console.warn("保存したアラームを読み込めません", e);
+    return [];
+  }
+  if (!Array.isArray(stored)) return [];
+
+  return stored.flatMap(alarm => {
+    try {
+      return [normalizeAlarm(alarm)];
+    } catch (e) {
+      console.warn(`アラームを読み込めません: ${alarm && alarm.time}`, e);
+      return [];
+    }
+  });
+}
+
+/* アラームの保存
+  */
+function saveAlarms() {
+  try {
+    localStorage.setItem(ALARM_STORAGE_KEY, JSON.stringify(Wadokei.alarms.list));
+  } catch (e) {
+    console.warn("アラームを保存できません", e);
+  }
+}
+
+/* アラームの検索
+  */
+function findAlarm(id) {
+  return Wadokei.alarms.list.find(a => a.id === id) || null;
+}
+
+/* アラームの追加
+  * input: { time, repeat, label, enabled }
+  * 戻り値: 追加したアラーム（time などが不正なら例外）
+  */
+function addAlarm(input) {
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  const alarm = normalizeAlarm({ ...input, id, snoozedUntil: null });
+  Wadokei.alarms.list.push(alarm);
+  onAlarmsChanged();
+  return alarm;
+}
+
+/* アラームの変更
+  * patch: 変える項目（time・repeat を変えるとスヌーズは取り消す）
+  * 戻り値: 変更したアラーム（見つからなければ null、不正なら例外）
+  */
+function updateAlarm(id, patch) {
+  const list = Wadokei.alarms.list;
+  const i = list.findIndex(a => a.id === id);
+  if (i < 0) return null;
+
+  const alarm = normalizeAlarm({ ...list[i], ...patch });
+  if ("time" in patch || "repeat" in patch || patch.enabled === false) {
+    alarm.snoozedUntil = null;
+  }
+  list[i] = alarm;
+  onAlarmsChanged();
+  return alarm;
+}
+
+/* アラームの削除
+  */
+function removeAlarm(id) {
+  Wadokei.alarms.list = Wadokei.alarms.list.filter(a => a.id !== id);
+  if (Wadokei.alarms.ringing === id) hideAlarmBanner();
+  onAlarmsChanged();
+}
+
+/* スヌーズ（鳴っているアラームを minutes 分後に鳴らし直す）
+  */
+function snoozeAlarm(id, minutes = ALARM_SNOOZE_MINUTES) {
+  const alarm = findAlarm(id);
+  if (!alarm) return;
+  alarm.snoozedUntil = Wadokei.now().getTime() + minutes * 60000;
+  if (Wadokei.alarms.ringing === id) hideAlarmBanner();
+  onAlarmsChanged();
+}
+
+/* 追加・変更・削除の後: 保存して確認し直す
+  */
+function onAlarmsChanged() {
+  saveAlarms();
+  if (Wadokei.alarms.timer) checkAlarms(true);
+}
+
+/* 鳴らす
+  */
+function fireAlarm(alarm, time) {
+  const tz = Wadokei.sun.timeZone;
+  const title = alarm.label || alarm.time;
+  const body = `${alarm.time}（${formatTime(time, tz)}）${describeAlarmRepeat(alarm.repeat)}`;
+
+  Wadokei.alarms.ringing = alarm.id;
+  const $banner = document.getElementById("alarm-banner");
+  const $text = document.getElementById("alarm-banner-text");
+  if ($banner && $text) {
+    $text.textContent = `${title} — ${body}`;
+    $banner.hidden = false;
+  }
+
+  if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+    try {
+      new Notification(title, { body, tag: `wadokei-alarm-${alarm.id}` });
+    } catch (e) {
+      console.warn("通知を表示できません", e);
+    }
+  }
+}
+
+/* バナーを閉じる
+  */
+function hideAlarmBanner() {
+  Wadokei.alarms.ringing = null;
+  const $banner = document.getElementById("alarm-banner");
+  if ($banner) $banner.hidden = true;
+}
+
+/* 鳴らす時刻を過ぎたアラームを鳴らし、次の確認を予約する
+  * listChanged: 一覧を変えた直後なら true（一覧を描き直す）
+  * 一覧は、鳴った・スヌーズが切れた・次の時刻や表示のタイムゾーンが変わったときだけ描き直す
+  */
+function checkAlarms(listChanged = false) {
+  const state = Wadokei.alarms;
+  clearTimeout(state.timer);
+
+  const now = Wadokei.now();
+  const t = now.getTime();
+  const realTime = Wadokei.state.clock.speed === 1;
+  const since = realTime && state.lastCheck !== null ? state.lastCheck : t;
+  const due = time => since < time && time <= t && t - time < ALARM_LATE_MS;
+
+  let changed = false;
+  let fired = false;
+  let wait = ALARM_CHECK_MS;
+  const prevNext = state.next;
+  state.next = new Map();
+
+  for (const alarm of state.list) {
+    if (!alarm.enabled) continue;
+
+    // スヌーズ
+    if (alarm.snoozedUntil !== null && alarm.snoozedUntil <= t) {
+      if (due(alarm.snoozedUntil)) {
+        fireAlarm(alarm, new Date(alarm.snoozedUntil));
+        fired = true;
+      }
+      alarm.snoozedUntil = null;
+      changed = true;
+    }
+
+    // 前回の確認から今までに鳴る時刻があれば鳴らす
+    const missed = nextAlarmTime(alarm, new Date(since), Wadokei.config);
+    if (missed && due(missed.getTime())) {
+      fireAlarm(alarm, missed);
+      fired = true;
+    }
+
+    const next = nextAlarmTime(alarm, now, Wadokei.config);
+    state.next.set(alarm.id, next);
+    for (const time of [next && next.getTime(), alarm.snoozedUntil]) {
+      if (time) wait = Math.min(wait, time - t + 50);
+    }
+  }
+  state.lastCheck = realTime ? t : null;
+  if (changed) saveAlarms();
+
+  state.timer = setTimeout(checkAlarms, realTime ? Math.max(200, wait) : 1000);
+
+  const moved = [...state.next].some(([id, time]) => alarmTimeKey(time) !== alarmTimeKey(prevNext.get(id)));
+  if (listChanged || fired || changed || moved || state.renderedTimeZone !== Wadokei.sun.timeZone) {
+    renderAlarmList();
+  }
+}
+
+/* 次の時刻の比較用（null・未確認は null）
+  */
+function alarmTimeKey(time) {
+  return time ? time.getTime() : null;
+}
+
+/* 時刻源が変わったときに確認し直す（飛び越えたアラームは鳴らさない）
+  * initAlarms() の前は何もしない
+  */
+function restartAlarms() {
+  if (!Wadokei.alarms.timer) return;
+  Wadokei.alarms.lastCheck = null;
+  checkAlarms();
+}
+
+/* 一覧の表示
+  */
+function renderAlarmList() {
+  const $list = document.getElementById("alarm-list");
+  if (!$list) return;
+
+  const tz = Wadokei.sun.timeZone;
+  const { list, next, ringing } = Wadokei.alarms;
+  Wadokei.alarms.renderedTimeZone = tz;
+  const items = list.map(alarm => {
+    const $item = document.createElement("li");
+
+    const $enabled = document.createElement("input");
+    $enabled.type = "checkbox";
+    $enabled.checked = alarm.enabled;
+    $enabled.setAttribute("aria-label", "有効");
+    $enabled.addEventListener("change", () => updateAlarm(alarm.id, { enabled: $enabled.checked }));
+
+    const nextTime = next.get(alarm.id);
+    const $text = document.createElement("span");
+    $text.textContent = `${alarm.label ? `${alarm.label}: ` : ""}${alarm.time} ${describeAlarmRepeat(alarm.repeat)}` +
+      (!alarm.enabled ? "（停止中）" :
+        alarm.snoozedUntil !== null ? `（スヌーズ中 ${formatTime(new Date(alarm.snoozedUntil), tz)}）` :
+          nextTime ? `（次: ${formatMonthDayTime(nextTime, tz)}）` : "");
+
+    const buttons = [
+      ["編集", () => editAlarm(alarm)],
+      ["削除", () => removeAlarm(alarm.id)]
+    ];
+    if (ringing === alarm.id) {
+      buttons.unshift([`${ALARM_SNOOZE_MINUTES}分後に`, () => snoozeAlarm(alarm.id)]);
+    } else if (alarm.snoozedUntil !== null) {
+      buttons.unshift(["スヌーズ解除", () => updateAlarm(alarm.id, { snoozedUntil: null })]);
+    }
+
+    $item.append($enabled, $text, ...buttons.map(([label, onClick]) => {
+      const $button = document.createElement("button");
+      $button.type = "button";
+      $button.textContent = label;
+      $button.addEventListener("click", onClick);
+      return $button;
+    }));
+    return $item;
+  });
+  $list.replaceChildren(...items);
+}
+
+/* 入力欄の状態表示
+  */
+function showAlarmStatus(message) {
+  const $status = document.getElementById("alarm-status");
+  if ($status) $status.textContent = message;
+}
+
+/* 入力欄に既存のアラームを入れて編集する（alarm が null なら新規）
+  */
+function editAlarm(alarm) {
+  const repeat = alarm ? alarm.repeat : { type: "daily" };
+  Wadokei.alarms.editing = alarm ? alarm.id : null;
+
+  document.getElementById("alarm-label").value = alarm ? alarm.label : "";
+  document.getElementById("alarm-time").value = alarm ? alarm.time : "";
+  document.getElementById("alarm-repeat").value = repeat.type;
+  for (const $option of document.getElementById("alarm-sekki").options) {
+    $option.selected = (repeat.sekki || []).includes($option.value);
+  }
+  for (const $day of document.querySelectorAll('input[name="alarm-weekday"]')) {
+    $day.checked = (repeat.weekdays || []).includes(Number($day.value));
+  }
+  document.getElementById("alarm-save").textContent = alarm ? "変更" : "追加";
+  syncAlarmRepeatControls();
+  showAlarmStatus("");
+}
+
+/* 繰り返しの種類に合わせて節気・曜日の入力欄を出し分ける
+  */
+function syncAlarmRepeatControls() {
+  const type = document.getElementById("alarm-repeat").value;
+  document.getElementById("alarm-sekki").hidden = type !== "sekki";
+  document.getElementById("alarm-weekdays").hidden = type !== "weekdays";
+}
+
+/* 入力欄 → アラーム
+  */
+function alarmFromControls() {
+  const type = document.getElementById("alarm-repeat").value;
+  const repeat = { type };
+  if (type === "sekki") {
+    repeat.sekki = [...document.getElementById("alarm-sekki").selectedOptions].map(o => o.value);
+  } else if (type === "weekdays") {
+    repeat.weekdays = [...document.querySelectorAll('input[name="alarm-weekday"]:checked')].map(d => Number(d.value));
+  }
+  return {
+    label: document.getElementById("alarm-label").value.trim(),
+    time: document.getElementById("alarm-time").value,
+    repeat
+  };
+}
+
+/* アラームの初期化（InitWadokei から観測地の決定後に呼ぶ）
+  */
+function initAlarms() {
+  Wadokei.alarms.list = loadAlarms();
+
+  const $form = document.getElementById("alarm-form");
+  if ($form) {
+    // 節気の選択肢（立春から）
+    const $sekki = document.getElementById("alarm-sekki");
+    for (const { name } of getSekkiForYear(2000).sort((a, b) => a.index - b.index)) {
+      $sekki.add(new Option(name, name));
+    }
+    document.getElementById("alarm-repeat").addEventListener("change", syncAlarmRepeatControls);
+
+    $form.addEventListener("submit", event => {
+      event.preventDefault();
+      const input = alarmFromControls();
+      try {
+        const editing = Wadokei.alarms.editing;
+        if (editing && findAlarm(editing)) {
+          updateAlarm(editing, input);
+        } else {
+          addAlarm(input);
+        }
+      } catch (e) {
+        showAlarmStatus(e.message);
+        return;
+      }
+      editAlarm(null);
+      // 初めての追加で通知の許可を求める（ボタン操作の中でのみ求められる）
+      if (typeof Notification !== "undefined" && Notification.permission === "default") {
+        Notification.requestPermission();
+      }
+    });
+    document.getElementById("alarm-cancel").addEventListener("click", () => editAlarm(null));
+    editAlarm(null);
+  }
+
+  const $snooze = document.getElementById("alarm-snooze");
+  const $dismiss = document.getElementById("alarm-dismiss");
+  if ($snooze && $dismiss) {
+    $snooze.textContent = `${ALARM_SNOOZE_MINUTES}分後に`;
+    $snooze.addEventListener("click", () => snoozeAlarm(Wadokei.alarms.ringing));
+    $dismiss.addEventListener("click", () => {
+      hideAlarmBanner();
+      renderAlarmList();
+    });
+  }
+
+  checkAlarms(true);
+}
+
+Wadokei.alarms = {
+  list: [], next: new Map(), timer: null, lastCheck: null, ringing: null, editing: null, renderedTimeZone: null
+};
+Wadokei.addAlarm = addAlarm;
+Wadokei.updateAlarm = updateAlarm;
+Wadokei.removeAlarm = removeAlarm;
+Wadokei.snoozeAlarm = snoozeAlarm;
@@ -0,0 +1,298 @@
+/**
+ * 時の鐘（Wadokei Bell）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   針が各刻の正刻（computeDialAngles() の angleZodiac。明け六つ = ake、暮れ六つ = kure）に来たとき、
+ *   その刻の数（九つ=9 … 四つ=4）だけ鐘を打つ。情報パネル・アラーム・時刻表と同じく正刻を刻の時刻とする。音は Web Audio API で合成し、音声ファイルは使わない。
+ *   鐘は初期状態では鳴らさない（config.bell.enabled で有効にする）。
+ *
+ * 打ち方:
+ *   1. 捨て鐘 3 つ（1 つ目のあと一呼吸置き、2・3 つ目は続けて打つ）
+ *   2. 間を置いて刻の数だけ打つ（打つごとに間隔を少しずつ詰める）
+ *   半刻（刻線 = 刻の境目）には、halfChime を有効にすると軽く 1 つ打つ。
+ *
+ * 設定（config.bell）:
+ *   enabled    - 鐘を鳴らすか
+ *   volume     - 音量（0〜1）
+ *   quietStart, quietEnd - 鳴らさない時間帯（観測地の時刻 "HH:MM"。同じ値なら無し、日付をまたいでもよい）
+ *   halfChime  - 半刻にも打つか
+ *   interval   - 打つ間隔の基準（秒）
+ *
+ * 備考:
+ *   - 鳴らすのはページの時計（Wadokei）だけで、<wado-kei> 要素は鳴らさない。
+ *   - 時刻源が実時間で進んでいないとき（停止・倍速）は鳴らさない。
+ *   - 無効のあいだは確認のタイマーを持たない。有効にしたとき（applySettings() → restartBell()）に確認を始める。
+ *   - ブラウザは操作なしに音を出せないため、最初のクリック・キー入力で AudioContext を開始する。
+ *
+ * 公開関数:
+ *   Wadokei.ringBell() - 鐘を打つ（数を指定。試し打ち用）
+ */
+
+// config.bell の既定値
+const BELL_DEFAULTS = {
+  enabled: false,
+  volume: 0.5,
+  quietStart: "22:00",
+  quietEnd: "06:00",
+  halfChime: false,
+  interval: 3
+};
+
+// 鐘の基音（Hz）と部分音 [基音に対する比, 振幅, 減衰時間（秒）]
+// 梵鐘の部分音は整数倍に並ばない。わずかにずらした 2 音でうなりを出す
+const BELL_FUNDAMENTAL = 128;
+const BELL_PARTIALS = [
+  [0.5, 0.45, 9],
+  [1, 1, 7],
+  [1.007, 0.6, 7],
+  [2.03, 0.35, 4],
+  [2.76, 0.25, 2.5],
+  [3.94, 0.15, 1.5],
+  [5.42, 0.08, 0.8]
+];
+
+// 鐘の時刻を過ぎてからこの時間が経った鐘は打たない（時間旅行で飛び越えたときなど）
+const BELL_LATE_MS = 60 * 1000;
+
+// 次の確認までの最長間隔（観測地・設定の変更を拾うため）
+const BELL_CHECK_MS = 60 * 1000;
+
+/* 現在の鐘の設定（既定値に config.bell を重ねる）
+  */
+function bellConfig() {
+  return { ...BELL_DEFAULTS, ...(Wadokei.config.bell || {}) };
+}
+
+/* AudioContext の用意（ユーザー操作のイベント内で呼ぶ）
+  * 戻り値: AudioContext（Web Audio 非対応なら null）
+  */
+function ensureBellAudio() {
+  const bell = Wadokei.bell;
+  if (!bell.audio) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    bell.audio = new AudioContextClass();
+  }
+  if (bell.audio.state === "suspended") {
+    bell.audio.resume();
+  }
+  return bell.audio;
+}
+
+/* 1 つ打つ
+  * audio: AudioContext
+  * when: 打つ時刻（audio.currentTime 基準の秒）
+  * loudness: 強さ（0〜1、音量を掛ける前）
+  */
+function strikeBell(audio, when, loudness) {
+  const master = audio.createGain();
+  master.gain.value = loudness;
+  master.connect(audio.destination);
+
+  for (const [ratio, amp, decay] of BELL_PARTIALS) {
+    const osc = audio.createOscillator();
+    const env = audio.createGain();
+    osc.frequency.value = BELL_FUNDAMENTAL * ratio;
+    env.gain.setValueAtTime(0, when);
+    env.gain.linearRampToValueAtTime(amp * 0.2, when + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, when + decay);
+    osc.connect(env).connect(master);
+    osc.start(when);
+    osc.stop(when + decay + 0.1);
+  }
+
+  // 撞木が当たる音（短い雑音を低域に絞る）
+  const length = Math.floor(audio.sampleRate * 0.08);
+  const buffer = audio.createBuffer(1, length, audio.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+  }
+  const noise = audio.createBufferSource();
+  const filter = audio.createBiquadFilter();
+  const noiseGain = audio.createGain();
+  noise.buffer = buffer;
+  filter.type = "lowpass";
+  filter.frequency.value = 700;
+  noiseGain.gain.value = 0.3;
+  noise.connect(filter).connect(noiseGain).connect(master);
+  noise.start(when);
+}
+
+/* 打つ時刻の並び（最初の捨て鐘からの秒）
+  * count: 刻の数（4〜9）
+  * interval: 打つ間隔の基準（秒）
+  * 戻り値: 秒の配列（捨て鐘 3 つ + count）
+  */
+function bellStrikeTimes(count, interval) {
+  // 捨て鐘: 1 つ目のあと一呼吸、2・3 つ目は続けて
+  const times = [0, interval, interval * 1.5];
+
+  // 捨て鐘のあと間を置き、打つごとに間隔を 1.5 倍 → 0.75 倍へ詰める
+  let t = times[2] + interval * 2;
+  for (let i = 0; i < count; i++) {
+    times.push(t);
+    t += interval * (1.5 - 0.75 * i / Math.max(1, count - 1));
+  }
+  return times;
+}
+
+/* 鐘を打つ
+  * count: 刻の数（4〜9）。0 なら半刻の 1 打だけ
+  * 戻り値: 打ち終わるまでの秒（音を出せなければ null）
+  */
+function ringBell(count) {
+  const audio = ensureBellAudio();
+  if (!audio) return null;
+
+  const { volume, interval } = bellConfig();
+  const start = audio.currentTime + 0.05;
+  const times = count > 0 ? bellStrikeTimes(count, interval) : [0];
+  times.forEach((t, i) => {
+    // 捨て鐘・半刻は少し弱く打つ
+    const loudness = count > 0 && i >= 3 ? 1 : 0.7;
+    strikeBell(audio, start + t, volume * loudness);
+  });
+  return times[times.length - 1] + BELL_PARTIALS[0][2];
+}
+
+/* "HH:MM" → その日の 0 時からの分（解釈できなければ null）
+  */
+function parseBellTime(text) {
+  const m = String(text || "").match(/^(\d{1,2}):(\d{2})$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/* 鳴らさない時間帯か（観測地の時刻で判定）
+  */
+function isBellQuiet(date, config, timeZone) {
+  const start = parseBellTime(config.quietStart);
+  const end = parseBellTime(config.quietEnd);
+  if (start === null || end === null || start === end) return false;
+
+  const p = getZonedParts(date, timeZone);
+  const minutes = p.hour * 60 + p.minute;
+  return start < end
+    ? start <= minutes && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/* 鐘を打つ時刻の一覧（正刻と、halfChime なら刻の境目）
+  * 戻り値: [{ time: ミリ秒, count: 刻の数（半刻は 0）, koku }]（時刻順）
+  *   koku は読みの元になる刻（半刻は境目の前の刻。"昼八つ半" の八つ）
+  */
+function bellEvents(nowTime, config) {
+  const table = computeKokuTable(ComputeSunData(nowTime, Wadokei.config));
+  const events = [];
+  table.forEach((k, i) => {
+    events.push({ time: k.center, count: k.count, koku: k });
+    if (config.halfChime && i > 0) {
+      events.push({ time: k.start, count: 0, koku: table[i - 1] });
+    }
+  });
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/* 鐘の時刻（正刻・半刻）を過ぎたか確認して鐘を打ち、次の確認を予約する
+  * 無効なら何も計算せず、次の確認も予約しない
+  */
+function checkBell() {
+  const bell = Wadokei.bell;
+  clearTimeout(bell.timer);
+  bell.timer = null;
+
+  const config = bellConfig();
+  if (!config.enabled) {
+    bell.lastCheck = null;
+    bell.next = null;
+    syncBellStatus(config);
+    return;
+  }
+  const nowTime = Wadokei.now();
+  const now = nowTime.getTime();
+  const realTime = Wadokei.state.clock.speed === 1;
+  const events = bellEvents(nowTime, config);
+
+  // 前回の確認から今までに過ぎた鐘の時刻（遅れすぎたものは打たない）
+  if (realTime && bell.lastCheck !== null) {
+    const crossed = events.filter(e => bell.lastCheck < e.time && e.time <= now && now - e.time < BELL_LATE_MS);
+    const last = crossed[crossed.length - 1];
+    if (last && !isBellQuiet(nowTime, config, Wadokei.sun.timeZone)) {
+      ringBell(last.count);
+    }
+  }
+  bell.lastCheck = realTime ? now : null;
+
+  // 次の鐘の時刻まで待つ（実時間で進んでいなければ 1 秒ごとに確認）
+  const next = events.find(e => e.time > now);
+  bell.next = next || null;
+  const wait = !realTime ? 1000 : next ? Math.min(next.time - now + 50, BELL_CHECK_MS) : BELL_CHECK_MS;
+  bell.timer = setTimeout(checkBell, Math.max(200, wait));
+
+  syncBellStatus(config);
+}
+
+/* 次の鐘の表示
+  */
+function syncBellStatus(config) {
+  const $status = document.getElementById("bell-status");
+  if (!$status) return;
+
+  const next = Wadokei.bell.next;
+  if (!config.enabled || !next) {
+    $status.textContent = "";
+    return;
+  }
+  const name = next.count > 0
+    ? `${kokuName(next.koku)}（${next.koku.zodiac}の刻）`
+    : `${kokuName(next.koku)}半`;
+  const time = new Date(next.time);
+  const quiet = isBellQuiet(time, config, Wadokei.sun.timeZone) ? "（鳴らさない時間帯）" : "";
+  $status.textContent = `次の鐘: ${name} ${formatTime(time, Wadokei.sun.timeZone)}${quiet}`;
+}
+
+/* 時刻源・設定が変わったときに確認し直す（飛び越えた鐘の時刻では打たない）
+  * initBell() の前は何もしない
+  */
+function restartBell() {
+  if (!Wadokei.bell.started) return;
+  Wadokei.bell.lastCheck = null;
+  checkBell();
+}
+
+/* 時の鐘の初期化（InitWadokei から観測地の決定後に呼ぶ）
+  */
+function initBell() {
+  // ブラウザの自動再生制限: 有効なら最初の操作で AudioContext を開始する
+  const unlock = () => {
+    if (bellConfig().enabled) ensureBellAudio();
+  };
+  document.addEventListener("pointerdown", unlock);
+  document.addEventListener("keydown", unlock);
+
+  // 設定パネルの変更（確認し直すのは applySettings() の restartBell()。ここでは操作のうちに音を出せるようにする）
+  for (const $input of document.querySelectorAll('[data-setting^="bell."]')) {
+    $input.addEventListener("change", () => {
+      if (bellConfig().enabled) ensureBellAudio();
+    });
+  }
+
+  const $test = document.getElementById("bell-test");
+  if ($test) {
+    $test.addEventListener("click", () => {
+      // 直前の正刻の数（正刻の前なら一つ前の刻）
+      const now = Wadokei.now();
+      const last = computeKokuTable(ComputeSunData(now, Wadokei.config)).filter(k => k.center <= now.getTime()).pop();
+      ringBell(last ? last.count : toWadoTime(now, Wadokei.config).count);
+    });
+  }
+
+  Wadokei.bell.started = true;
+  checkBell();
+}
+
+Wadokei.bell = { audio: null, timer: null, started: false, lastCheck: null, next: null };
+Wadokei.ringBell = ringBell;
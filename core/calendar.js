@@ -0,0 +1,48 @@
+/**
+ * 季節の暦の書き出し（Wadokei Calendar）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   指定年の二十四節気・雑節（選べば毎日の明け六つ・暮れ六つ）を iCalendar（.ics）で書き出し、
+ *   カレンダーアプリに取り込めるようにする。計算は domain/ics.mjs（buildSeasonalCalendar）で、
+ *   観測地・昼夜境界・タイムゾーンはページの設定（Wadokei.config）を使う。
+ *
+ * 依存:
+ *   - core/timetable.js（downloadTextFile）
+ *
+ * 備考:
+ *   - ページを開かずに作るときは bin/wadokei.mjs の ics コマンドを使う。
+ */
+
+/* 状態の表示
+  */
+function showCalendarStatus(message) {
+  const $status = document.getElementById("calendar-status");
+  if ($status) $status.textContent = message;
+}
+
+/* 季節の暦の初期化（InitWadokei から観測地の決定後に呼ぶ）
+  */
+function initCalendarExport() {
+  const $year = document.getElementById("calendar-year");
+  const $akeKure = document.getElementById("calendar-ake-kure");
+  const $export = document.getElementById("calendar-export");
+  if (!$year || !$akeKure || !$export) return;
+
+  // 初期値: 表示中の年（観測地の暦）
+  $year.value = getZonedParts(Wadokei.now(), Wadokei.sun.timeZone).year;
+
+  $export.addEventListener("click", () => {
+    try {
+      const year = Number($year.value);
+      const loc = { ...Wadokei.config, name: Wadokei.state.location.name };
+      const ics = buildSeasonalCalendar(year, loc, { akeKure: $akeKure.checked });
+      downloadTextFile(ics, `wadokei-${year}.ics`, "text/calendar");
+      showCalendarStatus("");
+    } catch (e) {
+      showCalendarStatus(e.message);
+    }
+  });
+}
@@ -0,0 +1,200 @@
+/**
+ * 和時計の時刻源（Wadokei Clock）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   描画・天文計算・情報パネルが参照する「現在時刻」を一元管理する。
+ *   実時刻のほか、任意の日時への固定・ずらし・早送り（倍速）に対応し、
+ *   冬至や夜九つの盤面をシステム時計を変えずに確認できる。
+ *   時刻源はページに 1 つで、ページの時計と <wado-kei> 要素のすべてが同じ時刻を表示する。
+ *
+ * 状態（Wadokei.state.clock）:
+ *   anchorReal - 基準となる実時刻（ミリ秒）
+ *   anchorSim  - anchorReal に対応する表示時刻（ミリ秒）
+ *   speed      - 進む速さ（1=実時間、0=停止、1440=1日を60秒）
+ *
+ * URL パラメータ（日時は観測地のタイムゾーンの時刻）:
+ *   ?at=2026-12-22T23:00   指定日時から開始
+ *   ?fixed=2026-12-22      指定日時で停止
+ *   ?offset=-2d            実時刻からずらす（d/h/m/s、単位なしはミリ秒）
+ *   ?speed=1440            倍速
+ *
+ * 公開関数:
+ *   Wadokei.now()        - 現在の表示時刻（Date）
+ *   Wadokei.setClock()   - 時刻源の設定
+ *   Wadokei.resetClock() - 実時刻に戻す
+ */
+
+/* 時刻源の初期状態（実時刻）
+  */
+function realClockState() {
+  const now = Date.now();
+  return { anchorReal: now, anchorSim: now, speed: 1 };
+}
+
+/* 現在の表示時刻
+  * 戻り値: Dateオブジェクト
+  */
+function WadokeiNow() {
+  const clock = Wadokei.state.clock;
+  return new Date(clock.anchorSim + (Date.now() - clock.anchorReal) * clock.speed);
+}
+
+/* 日時指定の解釈
+  * value: Date / ミリ秒 / 日時文字列
+  *   "2026-12-22" "2026-12-22T23:00" のようにオフセットの無いものは観測地の時刻
+  * 戻り値: ミリ秒（解釈できない場合は NaN）
+  */
+function parseClockTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "number") return value;
+  const str = String(value).trim();
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (m) {
+    const [y, mo, d, hh, mm, ss] = m.slice(1).map(v => Number(v || 0));
+    return zonedTimeToUtc(y, mo, d, hh, mm, ss, observerTimeZone());
+  }
+  return new Date(str).getTime();
+}
+
+/* ずらし量の解釈
+  * value: ミリ秒、または "-2d" "+3h" "90m" "30s" のような文字列
+  * 戻り値: ミリ秒（解釈できない場合は NaN）
+  */
+function parseClockOffset(value) {
+  if (typeof value === "number") return value;
+  const m = String(value).trim().match(/^([+-]?\d+(?:\.\d+)?)(d|h|m|s)?$/);
+  if (!m) return NaN;
+  const unit = { d: 86400000, h: 3600000, m: 60000, s: 1000 }[m[2]] || 1;
+  return parseFloat(m[1]) * unit;
+}
+
+/* 時刻源の設定
+  * opt: {
+  *   fixed: 停止させる日時
+  *   at: 開始日時（speed で進む）
+  *   offset: 実時刻からのずれ（ミリ秒または "-2d" など）
+  *   speed: 倍速（省略時は 1、fixed 指定時は 0）
+  * }
+  */
+function setClock(opt = {}) {
+  const now = Date.now();
+  const clock = { anchorReal: now, anchorSim: WadokeiNow().getTime(), speed: Wadokei.state.clock.speed };
+
+  if (opt.fixed !== undefined && opt.fixed !== null) {
+    clock.anchorSim = parseClockTime(opt.fixed);
+    clock.speed = 0;
+  } else if (opt.at !== undefined && opt.at !== null) {
+    clock.anchorSim = parseClockTime(opt.at);
+  } else if (opt.offset !== undefined && opt.offset !== null) {
+    clock.anchorSim = now + parseClockOffset(opt.offset);
+  }
+  if (opt.speed !== undefined && opt.speed !== null && opt.fixed == null) {
+    clock.speed = Number(opt.speed);
+  }
+
+  if (!Number.isFinite(clock.anchorSim) || !Number.isFinite(clock.speed)) {
+    console.warn("時刻の指定を解釈できません", opt);
+    return;
+  }
+
+  Wadokei.state.clock = clock;
+  onClockChanged();
+}
+
+/* 実時刻に戻す
+  */
+function resetClock() {
+  Wadokei.state.clock = realClockState();
+  onClockChanged();
+}
+
+/* 実時刻以外で動いているか
+  */
+function isSimulatedClock() {
+  const clock = Wadokei.state.clock;
+  return clock.speed !== 1 || Math.abs(clock.anchorSim - clock.anchorReal) > 1000;
+}
+
+/* 時刻源が変わったときの共通処理
+  * 天文データを再計算させ、すぐに描き直す（ページの時計・<wado-kei> 要素すべて）
+  */
+function onClockChanged() {
+  Wadokei.state.sunKey = null;
+  for (const clock of Wadokei.clocks) {
+    clock.state.sunKey = null;
+    if (clock.state.loopStarted) {
+      restartClockLoop(clock);
+    }
+  }
+  syncClockControls();
+  if (typeof restartBell === "function") {
+    restartBell();
+  }
+  if (typeof restartAlarms === "function") {
+    restartAlarms();
+  }
+}
+
+/* URL パラメータから時刻源を設定
+  */
+function applyClockParams(search) {
+  const params = new URLSearchParams(search);
+  const opt = {};
+  for (const key of ["fixed", "at", "offset", "speed"]) {
+    if (params.has(key)) opt[key] = params.get(key);
+  }
+  if (Object.keys(opt).length > 0) {
+    setClock(opt);
+  }
+}
+
+/* datetime-local 入力用の文字列（観測地の時刻）
+  */
+function toDateTimeLocalValue(date) {
+  const pad = n => String(n).padStart(2, "0");
+  const p = getZonedParts(date, observerTimeZone());
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/* 操作パネルの表示を時刻源に合わせる
+  */
+function syncClockControls() {
+  const $at = document.getElementById("sim-at");
+  const $speed = document.getElementById("sim-speed");
+  if (!$at || !$speed) return;
+
+  $at.value = toDateTimeLocalValue(WadokeiNow());
+  $speed.value = String(Wadokei.state.clock.speed);
+}
+
+/* 操作パネルの初期化
+  */
+function initClockControls() {
+  const $at = document.getElementById("sim-at");
+  const $speed = document.getElementById("sim-speed");
+  const $apply = document.getElementById("sim-apply");
+  const $reset = document.getElementById("sim-reset");
+  if (!$at || !$speed || !$apply || !$reset) return;
+
+  $apply.addEventListener("click", () => {
+    setClock({ at: $at.value || WadokeiNow(), speed: $speed.value });
+  });
+  $speed.addEventListener("change", () => {
+    setClock({ speed: $speed.value });
+  });
+  $reset.addEventListener("click", resetClock);
+
+  syncClockControls();
+}
+
+// 時刻源の初期化（実時刻）
+// URL 指定・操作パネルの日時は観測地のタイムゾーンで扱うため、
+// applyClockParams() と initClockControls() は InitWadokei で観測地の決定後に呼ぶ
+Wadokei.state.clock = realClockState();
+Wadokei.now = WadokeiNow;
+Wadokei.setClock = setClock;
+Wadokei.resetClock = resetClock;
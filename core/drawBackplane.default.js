@@ -1,192 +1,216 @@
-/* 盤面描画（簡易版）
-  * ctx: CanvasRenderingContext2D
-  * radius: 盤面半径（ピクセル）
-  * opt: オプションオブジェクト
-  *  - startAngle: 盤面開始角度（ラジアン）
-  * - dayAngle: 昼部分の角度（ラジアン）
-  * - nightAngle: 夜部分の角度（ラジアン）
-  */
-function drawBackplane(ctx, radius, opt) {
-    const { startAngle, dayAngle, nightAngle } = opt;
-
-    // 背景（昼）
-    ctx.save();
-    try {
-        ctx.rotate(-Math.PI / 2);
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.arc(0, 0, radius - 10, startAngle, startAngle + dayAngle);
-        ctx.fillStyle = "#fff8dc";
-        ctx.fill();
-    } finally {
-        ctx.restore();
-    }
+/**
+ * 標準の盤面を描画するプラグイン（デフォルト設定）
+ *
+ * 概要:
+ *   画像を使わず、昼夜の塗り分け・十二支・四〜九・刻線だけで盤面を描く。
+ *   config.backplanePlugin が "default" または未指定のときに使われる。
+ *   config.subTicks で半刻・四半刻の目盛りも描く（長さ・色は config.pluginOptions.default）。
+ */
 
-    // 背景（夜）
-    ctx.save();
-    try {
-        ctx.rotate(-Math.PI / 2);
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.arc(0, 0, radius - 10, startAngle + dayAngle, startAngle + 2 * Math.PI);
-        ctx.fillStyle = "#e6f0ff";
-        ctx.fill();
-    } finally {
-        ctx.restore();
-    }
+(() => {
+
+    /* 盤面描画（簡易版）
+      * ctx: CanvasRenderingContext2D
+      * radius: 盤面半径（ピクセル）
+      * opt: オプションオブジェクト
+      *  - dialMode: "午上" / "子上" / "回転盤"（回転盤は午上の配置で描き、drawClock() が盤面ごと回す）
+      *  - dayColor / nightColor: 昼・夜の地色（config.dayColor / nightColor）
+      *  - subTicks: 細かい目盛り（"none" / "half" / "quarter"、config.subTicks）
+      * plugin: プラグインのインスタンス（clock.sun に描画先の時計の天文データ）
+      * 備考: 角度は computeDialAngles()（時計の sun の ake/kure）から求めるため、
+      *       盤面プラグインと同じ昼夜境界で描かれる
+      */
+    function drawBackplane(ctx, radius, opt, plugin) {
+        const { dialMode, dayColor = "#fff8dc", nightColor = "#e6f0ff", subTicks = "none" } = opt;
+        const { angleZodiac, angleTick, angleHalfTick, angleQuarterTick, shift } = computeDialAngles(plugin.clock.sun, dialMode);
+        const layout = plugin.options;
+        const angleU = angleZodiac["卯"];
+        const angleY = angleZodiac["酉"];
+
+        // 背景（昼）
+        ctx.save();
+        try {
+            ctx.rotate(-Math.PI / 2);
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.arc(0, 0, radius - 10, angleU, angleY);
+            ctx.fillStyle = dayColor;
+            ctx.fill();
+        } finally {
+            ctx.restore();
+        }
 
-    // 外枠
-    ctx.save();
-    try {
-        ctx.beginPath();
-        ctx.arc(0, 0, radius - 10, 0, 2 * Math.PI);
-        ctx.lineWidth = 2;
-        ctx.strokeStyle = "#5c3317";
-        ctx.stroke();
-    } finally {
-        ctx.restore();
-    }
+        // 背景（夜）
+        ctx.save();
+        try {
+            ctx.rotate(-Math.PI / 2);
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.arc(0, 0, radius - 10, angleY, angleU + 2 * Math.PI);
+            ctx.fillStyle = nightColor;
+            ctx.fill();
+        } finally {
+            ctx.restore();
+        }
 
-    // 十二支
-    const zodiacDay = ["卯", "辰", "巳", "午", "未", "申"];
-    const zodiacNight = ["酉", "戌", "亥", "子", "丑", "寅"];
-    drawDial(zodiacDay, startAngle, dayAngle);
-    drawDial(zodiacNight, startAngle + dayAngle, nightAngle);
-
-    // 四〜九
-    const clockNumbers = ["六", "五", "四", "九", "八", "七"];
-    drawNumbers(clockNumbers, startAngle, dayAngle, radius - 80);
-    drawNumbers(clockNumbers, startAngle + dayAngle, nightAngle, radius - 80);
-
-    // 境界線
-    drawTicks(startAngle, dayAngle, 6, radius - 60, radius - 20);
-    drawTicks(startAngle + dayAngle, nightAngle, 6, radius - 60, radius - 20);
-
-    // 中央装飾
-    ctx.save();
-    try {
-        ctx.beginPath();
-        ctx.arc(0, 0, 6, 0, 2 * Math.PI);
-        ctx.fillStyle = "#000";
-        ctx.fill();
-    } finally {
-        ctx.restore();
-    }
-    return { shift: 0 }; // ダミー
-}
-
-/*  十二支描画
-  * labels: 描画する文字列配列
-  * startAngle: 描画開始角度（ラジアン）
-  * totalAngle: 描画範囲角度（ラジアン）   
-  */
-function drawDial(labels, startAngle, totalAngle) {
-    let step = totalAngle / labels.length;
-    const ctx = Wadokei.ctx;
-    const radius = Wadokei.radius;
-
-    ctx.save();
-    try {
-        ctx.font = "20pt 'Yu Mincho', serif";
-        ctx.fillStyle = "#5c3317";
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        for (let i = 0; i < labels.length; i++) {
-            let angle = startAngle + (i + 0.5) * step;
-            drawRotatedText(labels[i], angle, radius - 40);
-            // let x = Math.cos(angle) * (radius-40);
-            // let y = Math.sin(angle) * (radius-40);
-            // ctx.fillText(labels[i], x, y);
+        // 外枠
+        ctx.save();
+        try {
+            ctx.beginPath();
+            ctx.arc(0, 0, radius - 10, 0, 2 * Math.PI);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = "#5c3317";
+            ctx.stroke();
+        } finally {
+            ctx.restore();
+        }
+
+        // 十二支
+        const zodiac = Object.keys(angleZodiac);
+        drawDial(ctx, zodiac, zodiac.map(z => angleZodiac[z]), radius - 40);
+
+        // 四〜九
+        const zodiacOrder = ["卯", "辰", "巳", "午", "未", "申", "酉", "戌", "亥", "子", "丑", "寅"];
+        const clockNumbers = ["六", "五", "四", "九", "八", "七", "六", "五", "四", "九", "八", "七"];
+        drawNumbers(ctx, clockNumbers, zodiacOrder.map(z => angleZodiac[z]), radius - 80);
+
+        // 境界線
+        drawTicks(ctx, angleTick.slice(0, 12), radius - 60, radius - 20);
+
+        // 半刻・四半刻
+        if (subTicks === "half" || subTicks === "quarter") {
+            drawTicks(ctx, angleHalfTick, radius - layout.halfTickOuter, radius - layout.halfTickInner,
+                layout.halfTickColor, layout.halfTickWidth);
+        }
+        if (subTicks === "quarter") {
+            drawTicks(ctx, angleQuarterTick, radius - layout.quarterTickOuter, radius - layout.quarterTickInner,
+                layout.quarterTickColor, layout.quarterTickWidth);
+        }
+
+        // 中央装飾
+        ctx.save();
+        try {
+            ctx.beginPath();
+            ctx.arc(0, 0, 6, 0, 2 * Math.PI);
+            ctx.fillStyle = "#000";
+            ctx.fill();
+        } finally {
+            ctx.restore();
         }
-    } finally {
-        ctx.restore();
+        return { shift };
     }
-}
-
-/*  四〜九の漢数字を描く
-  * labels: 描画する文字列配列
-  * startAngle: 描画開始角度（ラジアン）
-  * totalAngle: 描画範囲角度（ラジアン）
-  * innerRadius: 文字列の内側半径（ピクセル）
-  */
-function drawNumbers(labels, startAngle, totalAngle, innerRadius) {
-    let step = totalAngle / labels.length;
-    const ctx = Wadokei.ctx;
-    const radius = Wadokei.radius;
-
-    ctx.save();
-    try {
-        ctx.font = "16pt 'Yu Mincho', serif";
-        ctx.fillStyle = "#333";
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        for (let i = 0; i < labels.length; i++) {
-            let angle = startAngle + (i + 0.5) * step;
-            drawRotatedText(labels[i], angle, radius - 80);
-            // let x = Math.cos(angle) * innerRadius;
-            // let y = Math.sin(angle) * innerRadius;
-            // ctx.fillText(labels[i], x, y);
+
+    /*  十二支描画
+      * labels: 描画する文字列配列
+      * angles: 各文字の角度（ラジアン、真上=0・時計回り）
+      * radius: 文字列の半径（ピクセル）
+      */
+    function drawDial(ctx, labels, angles, radius) {
+        ctx.save();
+        try {
+            ctx.font = "20pt 'Yu Mincho', serif";
+            ctx.fillStyle = "#5c3317";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            for (let i = 0; i < labels.length; i++) {
+                drawRotatedText(ctx, labels[i], angles[i], radius);
+            }
+        } finally {
+            ctx.restore();
         }
-    } finally {
-        ctx.restore();
     }
-}
 
-/*  刻線描画
- *
- *  startAngle: 刻線開始角度（ラジアン）  
- */
-function drawTicks(startAngle, totalAngle, divisions, innerRadius, outerRadius) {
-    let step = totalAngle / divisions;
-    const ctx = Wadokei.ctx;
-    const radius = Wadokei.radius;
-
-    ctx.save();
-    try {
-        ctx.strokeStyle = "#555";
-        ctx.lineWidth = 2;
-        // i=0を飛ばすことで境目の重複を防ぐ
-        for (let i = 1; i <= divisions; i++) {
-            let angle = (startAngle - Math.PI / 2 + i * step) % (2 * Math.PI);
-            let x1 = Math.cos(angle) * outerRadius;
-            let y1 = Math.sin(angle) * outerRadius;
-            let x2 = Math.cos(angle) * innerRadius;
-            let y2 = Math.sin(angle) * innerRadius;
-            ctx.beginPath();
-            ctx.moveTo(x1, y1);
-            ctx.lineTo(x2, y2);
-            ctx.stroke();
+    /*  四〜九の漢数字を描く
+      * labels: 描画する文字列配列
+      * angles: 各文字の角度（ラジアン、真上=0・時計回り）
+      * innerRadius: 文字列の半径（ピクセル）
+      */
+    function drawNumbers(ctx, labels, angles, innerRadius) {
+        ctx.save();
+        try {
+            ctx.font = "16pt 'Yu Mincho', serif";
+            ctx.fillStyle = "#333";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            for (let i = 0; i < labels.length; i++) {
+                drawRotatedText(ctx, labels[i], angles[i], innerRadius);
+            }
+        } finally {
+            ctx.restore();
         }
-    } finally {
-        ctx.restore();
     }
-}
-
-/*  回転文字列描画
-  * text: 描画文字列
-  * angle: 角度（ラジアン）
-  * radius: 半径（ピクセル）
-  * rotate: 回転するかどうか（デフォルト true）
-  * offsetAngle: 追加角度オフセット（ラジアン、デフォルト0）
-  */
-function drawRotatedText(text, angle, radius, rotate = true, offsetAngle = 0) {
-    const ctx = Wadokei.ctx;
-    let totalAngle = angle + offsetAngle;
-    ctx.save();
-    try {
-        // 座標移動
-        ctx.rotate(-Math.PI / 2);
-        ctx.translate(Math.cos(totalAngle) * radius, Math.sin(totalAngle) * radius);
-
-        // 回転する場合のみ
-        if (rotate) {
-            ctx.rotate(totalAngle + Math.PI / 2); // 放射方向に立てる
+
+    /*  刻線描画
+     *
+     *  angles: 刻線の角度配列（ラジアン、真上=0・時計回り）
+     *  color, width: 線の色・太さ（省略時は刻線の "#555"・2）
+     */
+    function drawTicks(ctx, angles, innerRadius, outerRadius, color = "#555", width = 2) {
+        ctx.save();
+        try {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            for (const a of angles) {
+                let angle = a - Math.PI / 2;
+                let x1 = Math.cos(angle) * outerRadius;
+                let y1 = Math.sin(angle) * outerRadius;
+                let x2 = Math.cos(angle) * innerRadius;
+                let y2 = Math.sin(angle) * innerRadius;
+                ctx.beginPath();
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.stroke();
+            }
+        } finally {
+            ctx.restore();
         }
+    }
 
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        ctx.fillText(text, 0, 0);
-    } finally {
-        ctx.restore();
+    /*  回転文字列描画
+      * text: 描画文字列
+      * angle: 角度（ラジアン）
+      * radius: 半径（ピクセル）
+      * rotate: 回転するかどうか（デフォルト true）
+      * offsetAngle: 追加角度オフセット（ラジアン、デフォルト0）
+      */
+    function drawRotatedText(ctx, text, angle, radius, rotate = true, offsetAngle = 0) {
+        let totalAngle = angle + offsetAngle;
+        ctx.save();
+        try {
+            // 座標移動
+            ctx.rotate(-Math.PI / 2);
+            ctx.translate(Math.cos(totalAngle) * radius, Math.sin(totalAngle) * radius);
+
+            // 回転する場合のみ
+            if (rotate) {
+                ctx.rotate(totalAngle + Math.PI / 2); // 放射方向に立てる（回転盤では真上に来た文字が正立する）
+            }
+
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(text, 0, 0);
+        } finally {
+            ctx.restore();
+        }
     }
-}
\ No newline at end of file
+
+    Wadokei.registerPlugin({
+        type: "backplane",
+        name: "default",
+        manifest: {
+            options: {
+                // 半刻・四半刻の目盛り（radius からの距離。刻線は 60〜20）
+                // 半刻は十二支と同じ角度なので、十二支の文字（radius - 40、20pt）より外側・外枠（10）の内側に収める
+                halfTickOuter: 22,
+                halfTickInner: 10,
+                halfTickColor: "#555",
+                halfTickWidth: 1.5,
+                quarterTickOuter: 18,
+                quarterTickInner: 10,
+                quarterTickColor: "#999",
+                quarterTickWidth: 1
+            }
+        },
+        draw: drawBackplane
+    });
+})();
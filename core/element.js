@@ -0,0 +1,242 @@
+/**
+ * 埋め込み用の和時計要素（<wado-kei>）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   和時計をカスタム要素として 1 ページに何個でも置けるようにする。
+ *   要素ごとに createWadokeiClock() で自分の時計（config・天文データ・Canvas・プラグイン）を持ち、
+ *   ページの Wadokei や他の要素と sun / ctx を共有しない。
+ *   時刻源（Wadokei.now()、時間旅行・倍速）はページ全体で共有する。
+ *
+ * 使い方:
+ *   <wado-kei place="edo"></wado-kei>
+ *   <wado-kei place="kyo" dial-mode="子上" size="240"></wado-kei>
+ *   <wado-kei lat="32.7437" lon="129.873" name="長崎" hand-plugin="plugin.drawHand.js"></wado-kei>
+ *
+ * 属性（省略時は config.json の値。変更はすぐに反映する）:
+ *   place            - 観測地のプリセット（domain/places.mjs の id または名前）
+ *   lat / lon / name - 観測地の緯度・経度・表示名（place より優先）
+ *   time-zone        - タイムゾーン（"auto" または IANA 名）
+ *   dial-mode        - "午上" / "子上" / "回転盤"（針を真上に固定して盤面を回す）
+ *   hand-plugin / backplane-plugin / calendar-plugin - プラグイン（calendar-plugin="" で暦を描かない）
+ *   cal-mode         - 暦法
+ *   smooth-hand      - 付けると連続運針
+ *   sub-ticks        - 半刻・四半刻の目盛り（"none" / "half" / "quarter"）
+ *   size             - 表示の幅（ピクセル）
+ *   config           - 既定値に使う config.json の URL（ページからの相対）
+ *   base             - Wadokei 一式の置き場所（省略時はこのスクリプトの 1 つ上のディレクトリ）
+ *
+ * 依存:
+ *   - core/globals.mjs（type="module"）、core/wadokei.js, core/plugins.js, core/clock.js, core/location.js（defer）
+ *   - core/config-loader.js / consts-loader.js は不要（config.json は base からの相対で読む）
+ */
+
+// このスクリプトの 1 つ上（core/ の親）を Wadokei 一式の置き場所とする
+const WADOKEI_ELEMENT_BASE = new URL(document.currentScript ? "../" : "./",
+  document.currentScript ? document.currentScript.src : location.href).href;
+
+// 属性 → config の項目と変換
+const WADOKEI_ELEMENT_ATTRIBUTES = {
+  "lat": { key: "lat", parse: Number },
+  "lon": { key: "lon", parse: Number },
+  "name": { key: "placeName" },
+  "time-zone": { key: "timeZone" },
+  "dial-mode": { key: "dialMode" },
+  "hand-plugin": { key: "handPlugin" },
+  "backplane-plugin": { key: "backplanePlugin" },
+  "calendar-plugin": { key: "calendarPlugin" },
+  "cal-mode": { key: "calMode" },
+  "smooth-hand": { key: "smoothHand", parse: value => value !== "false" },
+  "sub-ticks": { key: "subTicks" }
+};
+
+// プラグインの項目 → 種類
+const WADOKEI_ELEMENT_PLUGINS = { handPlugin: "hand", backplanePlugin: "backplane", calendarPlugin: "calendar" };
+
+// 読み込み済みの config.json / consts.json（URL ごと）
+const wadokeiElementFiles = new Map();
+
+/* JSON ファイルの読み込み（同じ URL は 1 回だけ）
+  */
+function fetchWadokeiJson(url) {
+  if (!wadokeiElementFiles.has(url)) {
+    const loading = fetch(url).then(r => {
+      if (!r.ok) throw new Error(`${url} を読み込めません（${r.status}）`);
+      return r.json();
+    });
+    loading.catch(() => wadokeiElementFiles.delete(url));
+    wadokeiElementFiles.set(url, loading);
+  }
+  return wadokeiElementFiles.get(url);
+}
+
+class WadokeiElement extends HTMLElement {
+
+  static get observedAttributes() {
+    return ["place", "size", ...Object.keys(WADOKEI_ELEMENT_ATTRIBUTES)];
+  }
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: "open" });
+    root.innerHTML = `
+      <style>
+        :host { display: inline-block; width: 300px; vertical-align: top; }
+        canvas { display: block; width: 100%; height: auto; }
+        .caption { text-align: center; font-family: "Yu Mincho", serif; color: #5c3317; }
+        .error { color: #8a1f11; font-size: 12px; }
+      </style>
+      <div class="error" part="error" role="alert" hidden></div>
+      <canvas part="canvas"></canvas>
+      <div class="caption" part="caption"></div>`;
+    this.$canvas = root.querySelector("canvas");
+    this.$caption = root.querySelector(".caption");
+    this.$error = root.querySelector(".error");
+    this.clock = null;
+  }
+
+  connectedCallback() {
+    this.applySize();
+    this.start();
+  }
+
+  disconnectedCallback() {
+    if (this.clock) {
+      stopWadokei(this.clock);
+      this.clock = null;
+    }
+    this.starting = null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (oldValue === value) return;
+    if (name === "size") {
+      this.applySize();
+      return;
+    }
+    if (this.clock) {
+      this.applyConfig(this.configFromAttributes(this.fileConfig));
+    }
+  }
+
+  /* 表示の幅（size 属性）
+    */
+  applySize() {
+    const size = Number(this.getAttribute("size"));
+    this.style.width = size > 0 ? `${size}px` : "";
+  }
+
+  /* 属性 → config の項目
+    * base: 属性の無い項目に使う値（config.json）
+    */
+  configFromAttributes(base) {
+    const config = {};
+    for (const [attr, { key, parse }] of Object.entries(WADOKEI_ELEMENT_ATTRIBUTES)) {
+      const value = this.getAttribute(attr);
+      config[key] = value === null ? base[key] : parse ? parse(value) : value;
+    }
+    for (const key of ["lat", "lon"]) {
+      if (!Number.isFinite(config[key])) config[key] = base[key];
+    }
+
+    // 観測地: lat / lon > place > config.json（緯度経度だけの指定では config.json の地名を使わない）
+    const hasCoords = this.hasAttribute("lat") || this.hasAttribute("lon");
+    const preset = this.hasAttribute("place") ? findPlace(this.getAttribute("place")) : null;
+    if (preset && !hasCoords) {
+      config.lat = preset.lat;
+      config.lon = preset.lon;
+    }
+    if (!this.hasAttribute("name") && (hasCoords || preset)) {
+      config.placeName = preset && !hasCoords ? preset.name : "";
+    }
+    return config;
+  }
+
+  /* 時計の開始（config.json・consts.json を読み込んでから）
+    */
+  async start() {
+    const starting = this.starting = {};
+    const base = this.getAttribute("base") || WADOKEI_ELEMENT_BASE;
+
+    let config, consts;
+    try {
+      [config, consts] = await Promise.all([
+        fetchWadokeiJson(this.getAttribute("config") || new URL("config/config.json", base).href),
+        fetchWadokeiJson(new URL("config/consts.json", base).href)
+      ]);
+    } catch (e) {
+      this.showError(e.message);
+      return;
+    }
+    // 読み込み中に外された・開始し直された
+    if (this.starting !== starting || !this.isConnected) return;
+
+    // プラグインの置き場所を base からの絶対 URL にする
+    const dirs = {
+      coreDir: new URL(consts.coreDir, base).href,
+      pluginDir: new URL(consts.pluginDir, base).href,
+      pluginRsrcsDir: new URL(consts.pluginRsrcsDir, base).href
+    };
+
+    this.fileConfig = config;
+    const clock = createWadokeiClock(
+      { ...config, ...this.configFromAttributes(config) },
+      { ...consts, ...dirs });
+    clock.canvas = this.$canvas;
+    clock.errorElement = this.$error;
+    clock.updatePanel = nowTime => this.updateCaption(nowTime);
+    this.clock = clock;
+
+    initClockData(clock);
+    startWadokei(clock);
+  }
+
+  /* 属性の変更を時計に反映する
+    * 観測地・昼夜境界は描画ループが sunDataKey() の変化を見て計算し直す
+    */
+  applyConfig(changes) {
+    const clock = this.clock;
+    const config = clock.config;
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (JSON.stringify(config[key]) === JSON.stringify(value)) continue;
+      config[key] = value;
+
+      const type = WADOKEI_ELEMENT_PLUGINS[key];
+      if (type === "calendar" && !value) {
+        removePlugin("calendar", undefined, clock);
+      } else if (type) {
+        usePlugin(type, value, clock);
+      } else if (key === "calMode") {
+        clock.calendar.calMode = value;
+        clock.calendar.current = null;
+      }
+    }
+    clock.state.panelSecond = null;
+    clock.state.drawnSecond = null;
+  }
+
+  /* 要素の下の表示（地名と現在の刻）
+    */
+  updateCaption(nowTime) {
+    const { lat, lon, placeName } = this.clock.config;
+    const preset = findPlaceByCoords(lat, lon);
+    const name = placeName || (preset ? preset.name : formatLatLon(lat, lon));
+    const wado = toWadoTime(nowTime, this.clock.config);
+    this.$caption.textContent = `${name} ${wadoReading(wado).text}（${wado.zodiac}の刻）`;
+  }
+
+  /* エラー表示（設定ファイルの読み込み失敗など）
+    */
+  showError(message) {
+    console.error(message);
+    this.$error.textContent = message;
+    this.$error.hidden = false;
+  }
+}
+
+if (!customElements.get("wado-kei")) {
+  customElements.define("wado-kei", WadokeiElement);
+}
@@ -0,0 +1,20 @@
+/**
+ * 計算エンジンのグローバル公開（ブラウザ用）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   wadokei.mjs の関数を window に公開し、classic script の core/・plugins/ から使えるようにする。
+ *   core/ のスクリプトは defer で読み込み、このモジュールの後に実行されるようにすること
+ *   （type="module" と defer のスクリプトは文書の順に実行される）。
+ *
+ * 使い方:
+ *   <script type="module" src="core/globals.mjs"></script>
+ *   <script defer src="core/wadokei.js"></script>
+ *   ...
+ */
+
+import * as wadokei from "../wadokei.mjs";
+
+Object.assign(window, wadokei);
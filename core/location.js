@@ -0,0 +1,262 @@
+/**
+ * 観測地の管理（Wadokei Location）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   和時計の観測地（緯度・経度・地名）を一元管理する。
+ *   観測地が変わるたびに ComputeSunData() で天文データを計算し直す。
+ *
+ * 観測地の決め方（後のものほど優先）:
+ *   1. config.json の lat / lon（placeName があればその名前）
+ *   2. URL パラメータ ?place=kyo（プリセットの id または名前）
+ *   3. URL パラメータ ?lat=35.01&lon=135.77（&name= で表示名）
+ *   4. ページの操作（プリセット選択・ブラウザの位置情報・設定パネル）
+ *
+ * 状態:
+ *   Wadokei.state.location - { name, lat, lon, timeZone, source }
+ *     source: "config" / "preset" / "url" / "geolocation" / "settings"
+ *     timeZone: config.timeZone（"auto" なら観測地から推定、resolveTimeZone() 参照）
+ *   推定のタイムゾーン（resolveTimeZoneInfo() の guessed）のあいだは、
+ *   操作パネルに IANA 名の入力欄（#timezone-ask）を出し、選んだものを設定の timeZone にする。
+ *
+ * 公開関数:
+ *   Wadokei.setLocation()    - 観測地の変更
+ *   Wadokei.useGeolocation() - ブラウザの位置情報を使う
+ */
+
+/* 観測地の変更
+  * loc: { lat, lon, name, source }
+  * 戻り値: true（変更した）/ false（緯度経度が不正）
+  */
+function setLocation(loc) {
+  const lat = Number(loc.lat);
+  const lon = Number(loc.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) ||
+    Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    console.warn("観測地の緯度・経度が不正です", loc);
+    return false;
+  }
+
+  const preset = findPlaceByCoords(lat, lon);
+  const name = loc.name || (preset ? preset.name : formatLatLon(lat, lon));
+
+  Wadokei.config.lat = lat;
+  Wadokei.config.lon = lon;
+  Wadokei.state.location = {
+    name,
+    lat,
+    lon,
+    timeZone: resolveTimeZone(Wadokei.config.timeZone, lat, lon),
+    source: loc.source || "preset"
+  };
+
+  // 天文データを新しい観測地で計算し直す
+  Wadokei.sun = ComputeSunData(Wadokei.now());
+  Wadokei.state.sunKey = null;
+
+  syncLocationControls();
+  return true;
+}
+
+/* 観測地のタイムゾーン（観測地の決定前は端末のタイムゾーン）
+  */
+function observerTimeZone() {
+  const loc = Wadokei.state.location;
+  return loc ? loc.timeZone : undefined;
+}
+
+/* 緯度経度の表示（例: 北緯 35.69° 東経 139.75°）
+  */
+function formatLatLon(lat, lon) {
+  const ns = lat >= 0 ? "北緯" : "南緯";
+  const ew = lon >= 0 ? "東経" : "西経";
+  return `${ns} ${Math.abs(lat).toFixed(2)}° ${ew} ${Math.abs(lon).toFixed(2)}°`;
+}
+
+/* ブラウザの位置情報で観測地を設定
+  * 戻り値: Promise（成功で true、拒否・非対応で false）
+  */
+function useGeolocation() {
+  return new Promise(resolve => {
+    if (!navigator.geolocation) {
+      showLocationStatus("この端末では位置情報を利用できません。");
+      return resolve(false);
+    }
+    showLocationStatus("現在地を取得しています…");
+    navigator.geolocation.getCurrentPosition(
+      pos => {
+        setLocation({
+          lat: pos.coords.latitude,
+          lon: pos.coords.longitude,
+          name: "現在地",
+          source: "geolocation"
+        });
+        showLocationStatus("");
+        resolve(true);
+      },
+      err => {
+        showLocationStatus(`現在地を取得できませんでした（${err.message}）`);
+        resolve(false);
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 600000 }
+    );
+  });
+}
+
+/* URL パラメータから観測地を決める
+  * 戻り値: setLocation() に渡す値（指定が無ければ null）
+  */
+function locationFromParams(search) {
+  const params = new URLSearchParams(search);
+
+  if (params.has("lat") && params.has("lon")) {
+    return {
+      lat: params.get("lat"),
+      lon: params.get("lon"),
+      name: params.get("name") || undefined,
+      source: "url"
+    };
+  }
+  const preset = findPlace(params.get("place"));
+  if (preset) {
+    return { lat: preset.lat, lon: preset.lon, name: preset.name, source: "url" };
+  }
+  return null;
+}
+
+/* 観測地の初期化（InitWadokei から config 読み込み後に呼ぶ）
+  */
+function initLocation() {
+  const { lat, lon, placeName } = Wadokei.config;
+  const preset = findPlaceByCoords(lat, lon);
+  Wadokei.state.location = {
+    name: placeName || (preset ? preset.name : formatLatLon(lat, lon)),
+    lat,
+    lon,
+    timeZone: resolveTimeZone(Wadokei.config.timeZone, lat, lon),
+    source: "config"
+  };
+
+  const fromUrl = locationFromParams(location.search);
+  if (fromUrl) {
+    setLocation(fromUrl);
+  }
+  initLocationControls();
+}
+
+/* 状態表示（位置情報の取得中・失敗など）
+  */
+function showLocationStatus(message) {
+  const $status = document.getElementById("place-status");
+  if ($status) $status.textContent = message;
+}
+
+/* 選択肢の表示を現在の観測地に合わせる
+  */
+function syncLocationControls() {
+  const $select = document.getElementById("place-select");
+  if (!$select) return;
+  const { lat, lon } = Wadokei.state.location;
+  const preset = findPlaceByCoords(lat, lon);
+  $select.value = preset ? preset.id : "";
+
+  syncTimeZoneAsk();
+
+  // 設定パネルの緯度経度も合わせる
+  if (typeof syncSettingsControls === "function") {
+    syncSettingsControls();
+  }
+}
+
+/* タイムゾーンの入力欄（推定のときだけ出す）
+  * 候補は経度が変わったときだけ作り直す（timeZoneCandidates() はすべての IANA 名を調べる）
+  */
+let timeZoneAskLon;
+function syncTimeZoneAsk() {
+  const $ask = document.getElementById("timezone-ask");
+  if (!$ask) return;
+  const { lat, lon } = Wadokei.state.location;
+  const info = resolveTimeZoneInfo(Wadokei.config.timeZone, lat, lon);
+  $ask.hidden = !info.guessed;
+  if (!info.guessed) return;
+
+  const basis = info.source === "longitude" ? "経度からの推定で、夏時間は反映されません" : "端末のタイムゾーンからの推定です";
+  document.getElementById("timezone-ask-message").textContent = `${info.timeZone} は${basis}。地域のタイムゾーンを選んでください:`;
+  if (timeZoneAskLon === lon) return;
+  timeZoneAskLon = lon;
+
+  const candidates = timeZoneCandidates(lon);
+  const $list = document.getElementById("timezone-candidates");
+  $list.innerHTML = "";
+  for (const timeZone of candidates) {
+    const option = document.createElement("option");
+    option.value = timeZone;
+    $list.appendChild(option);
+  }
+  document.getElementById("timezone-ask-input").value = "";
+}
+
+/* 入力欄のタイムゾーンを設定にする（解釈できない名前は反映しない）
+  */
+async function applyAskedTimeZone() {
+  const $input = document.getElementById("timezone-ask-input");
+  const $message = document.getElementById("timezone-ask-message");
+  const timeZone = $input.value.trim();
+  const { lat, lon } = Wadokei.state.location;
+  if (!timeZone || resolveTimeZoneInfo(timeZone, lat, lon).source !== "config") {
+    $message.textContent = `タイムゾーンを解釈できません: ${timeZone || "（空）"}。IANA 名（例: Europe/Berlin）を入力してください:`;
+    return;
+  }
+  await Wadokei.applySettings({ timeZone });
+}
+
+/* 観測地の操作パネル（プリセット選択・現在地ボタン）
+  */
+function initLocationControls() {
+  const $select = document.getElementById("place-select");
+  const $geo = document.getElementById("place-geo");
+  if (!$select || !$geo) return;
+
+  // プリセットをグループごとに並べる
+  $select.innerHTML = "";
+  const custom = document.createElement("option");
+  custom.value = "";
+  custom.textContent = "（任意の地点）";
+  $select.appendChild(custom);
+
+  for (const group of [...new Set(PLACES.map(p => p.group))]) {
+    const $group = document.createElement("optgroup");
+    $group.label = group;
+    for (const p of PLACES.filter(p => p.group === group)) {
+      const option = document.createElement("option");
+      option.value = p.id;
+      option.textContent = p.name;
+      $group.appendChild(option);
+    }
+    $select.appendChild($group);
+  }
+
+  $select.addEventListener("change", () => {
+    const preset = findPlace($select.value);
+    if (preset) {
+      setLocation({ lat: preset.lat, lon: preset.lon, name: preset.name, source: "preset" });
+    }
+  });
+  $geo.addEventListener("click", useGeolocation);
+
+  const $apply = document.getElementById("timezone-ask-apply");
+  const $input = document.getElementById("timezone-ask-input");
+  if ($apply && $input) {
+    $apply.addEventListener("click", applyAskedTimeZone);
+    $input.addEventListener("keydown", e => {
+      if (e.key === "Enter") applyAskedTimeZone();
+    });
+  }
+
+  syncLocationControls();
+}
+
+Wadokei.setLocation = setLocation;
+Wadokei.useGeolocation = useGeolocation;
@@ -0,0 +1,334 @@
+/**
+ * プラグイン登録簿（Wadokei Plugins）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   盤面・針・暦・重ね描きのプラグインを名前で登録し、種類ごとに 1 つ（overlay は複数）を有効にする。
+ *   プラグインはグローバル関数を上書きせず、Wadokei.registerPlugin() で自分を登録する。
+ *   同じ種類のプラグインを複数読み込んでおき、実行時に切り替えられる。
+ *   登録は 1 ページに 1 つだが、有効化は時計（ページの Wadokei、<wado-kei> 要素）ごとに行い、
+ *   時計ごとに別のインスタンス（設定・画像・状態）を持つ。
+ *
+ * プラグインの定義:
+ *   Wadokei.registerPlugin({
+ *     type: "backplane" | "hand" | "calendar" | "overlay",
+ *     name: "yaesakura",
+ *     manifest: {
+ *       resources: { image: "yaesakura.webp" },  // pluginRsrcsDir からの画像（読み込み完了まで draw しない）
+ *       options: { scale: 0.4 },                 // 既定値（config.pluginOptions[name] で上書き）
+ *       layout: "dial"                           // 時計の形（"dial" 丸い盤面 / "pillar" 尺時計。省略時は dial）
+ *     },
+ *     init(config, plugin) {},   // 有効化時。resources の差し替えもここで（Promise も可）
+ *     draw(ctx, ...args, plugin) {},
+ *     dispose(plugin) {}         // 無効化時
+ *   });
+ *
+ * draw の引数（最後の plugin は登録時に作られるインスタンス）:
+ *   backplane: draw(ctx, radius, { dialMode, sunrise, sunset, dayColor, nightColor, subTicks }, plugin)
+ *              dialMode が "回転盤" のときは午上の配置で描く（drawClock() が盤面レイヤーごと回し、針は真上に固定する）
+ *   hand:      draw(ctx, angle, length, { scale, offsetX, offsetY, tickShift }, plugin)
+ *              layout が "pillar" の針は draw(ctx, position, plate, { scale }, plugin)
+ *              （position は目盛り板の上端 0 〜 下端 1、plate は尺時計の盤面が返した { top, bottom, left, right }）
+ *              盤面と針の layout が違うときは針を描かない
+ *   calendar:  draw(ctx, radius, calendar, plugin)
+ *   overlay:   draw(ctx, radius, { now, sun, calendar }, plugin)
+ *
+ * インスタンス（plugin）:
+ *   { type, name, source, manifest, options, resources, images, state, ready, clock }
+ *   state はプラグインが自由に使う入れ物
+ *   clock は描画先の時計（sun, uiScale, canvas, config など。Wadokei を直接参照しないこと）
+ *
+ * 公開関数:
+ *   Wadokei.registerPlugin() - プラグインの登録
+ *   Wadokei.usePlugin()      - 名前またはファイル名でプラグインを有効にする（未読み込みなら読み込む）
+ *   Wadokei.removePlugin()   - プラグインを無効にする
+ *   Wadokei.reloadPlugin()   - 有効なプラグインを初期化し直す（画像・設定の変更を反映）
+ *   いずれも最後の引数 clock で対象の時計を指定できる（省略時はページの Wadokei）
+ *
+ * 切り替えの順序:
+ *   overlay 以外は種類ごとに要求の番号（plugins.requests[type]）を持つ。
+ *   読み込み・初期化を待つあいだに同じ種類の usePlugin() / removePlugin() が呼ばれたら、
+ *   先の要求は何も変えずに false を返す（最後に呼ばれたものだけが有効になる）。
+ */
+
+// プラグインの種類（overlay 以外は同時に 1 つだけ有効）
+const PLUGIN_TYPES = ["backplane", "hand", "calendar", "overlay"];
+
+/* プラグインの登録
+  * def: プラグインの定義（ファイル冒頭の説明を参照）
+  * 戻り値: 登録内容 { type, name, source, def, manifest }（定義が不正なら null）
+  */
+function registerPlugin(def) {
+  if (!def || !PLUGIN_TYPES.includes(def.type) || !def.name || typeof def.draw !== "function") {
+    reportPluginError(`プラグインの定義が不正です: ${def && def.name}`);
+    return null;
+  }
+
+  const entry = {
+    type: def.type,
+    name: def.name,
+    source: document.currentScript ? document.currentScript.getAttribute("src") : null,
+    def,
+    manifest: def.manifest || {}
+  };
+
+  const key = `${def.type}:${def.name}`;
+  if (Wadokei.plugins.registered[key]) {
+    console.warn(`プラグイン ${key} を登録し直します`);
+  }
+  Wadokei.plugins.registered[key] = entry;
+  return entry;
+}
+
+/* 時計ごとのインスタンスを作る
+  * entry: registerPlugin() の戻り値
+  * clock: 描画先の時計
+  */
+function createPluginInstance(entry, clock) {
+  return {
+    ...entry,
+    options: {},
+    resources: {},
+    images: {},
+    state: {},
+    ready: false,
+    clock
+  };
+}
+
+/* 登録済みプラグインの検索
+  * spec: プラグイン名、または読み込んだファイル名
+  */
+function findPlugin(type, spec) {
+  return Object.values(Wadokei.plugins.registered).find(p =>
+    p.type === type && (p.name === spec || (p.source && p.source.endsWith(spec)))) || null;
+}
+
+/* プラグインの初期化（init → 画像の読み込み）
+  * 戻り値: Promise（成功で true）
+  */
+async function initPlugin(plugin) {
+  const { config, consts } = plugin.clock;
+  const userOptions = (config.pluginOptions || {})[plugin.name] || {};
+  plugin.options = { ...(plugin.manifest.options || {}), ...userOptions };
+  plugin.resources = { ...(plugin.manifest.resources || {}) };
+  plugin.images = {};
+  plugin.state = {};
+  plugin.ready = false;
+
+  try {
+    if (typeof plugin.def.init === "function") {
+      await plugin.def.init(config, plugin);
+    }
+    await Promise.all(Object.entries(plugin.resources).map(([key, file]) =>
+      loadPluginImage(consts.pluginRsrcsDir + file).then(img => { plugin.images[key] = img; })));
+  } catch (e) {
+    reportPluginError(`プラグイン ${plugin.name} の初期化に失敗しました（${e.message}）`, plugin.clock);
+    return false;
+  }
+
+  plugin.ready = true;
+  return true;
+}
+
+/* プラグインの画像読み込み
+  * url: 画像の URL（pluginRsrcsDir + ファイル名）
+  * 戻り値: Promise（Image）
+  */
+function loadPluginImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`${url} を読み込めません`));
+    img.src = url;
+  });
+}
+
+/* プラグインの無効化
+  */
+function disposePlugin(plugin) {
+  if (!plugin) return;
+  plugin.ready = false;
+  if (typeof plugin.def.dispose === "function") {
+    try {
+      plugin.def.dispose(plugin);
+    } catch (e) {
+      console.error(`プラグイン ${plugin.name} の終了処理に失敗しました`, e);
+    }
+  }
+}
+
+/* プラグインファイルのURL
+  * spec: "default" は core の標準プラグイン、それ以外は pluginDir のファイル
+  */
+function pluginUrl(type, spec, consts) {
+  const { coreDir, pluginDir, defaultHand, defaultBackplane } = consts;
+  if (!spec || spec === "default") {
+    if (type === "hand") return coreDir + defaultHand;
+    if (type === "backplane") return coreDir + defaultBackplane;
+    return null;
+  }
+  return pluginDir + spec;
+}
+
+/* 種類ごとの要求の番号を進める（overlay は重ねて有効にするので数えない）
+  * 戻り値: この要求より後に同じ種類の要求が来たかを返す関数
+  */
+function nextPluginRequest(type, clock) {
+  if (type === "overlay") return () => false;
+  const requests = clock.plugins.requests;
+  const token = ++requests[type];
+  return () => requests[type] !== token;
+}
+
+/* プラグインを有効にする
+  * type: "backplane" / "hand" / "calendar" / "overlay"
+  * spec: 登録名、ファイル名（"plugin.drawHand.yaesakura.js"）、または "default"
+  * clock: 対象の時計（省略時はページの Wadokei）
+  * 戻り値: Promise（成功で true。後から同じ種類の切り替えが来たら false）
+  */
+async function usePlugin(type, spec, clock = Wadokei) {
+  const name = spec || "default";
+  const superseded = nextPluginRequest(type, clock);
+  let entry = findPlugin(type, name);
+
+  // 未登録ならファイルを読み込む
+  if (!entry && (name === "default" || name.endsWith(".js"))) {
+    const url = pluginUrl(type, name, clock.consts);
+    const result = url ? await loadPlugin(url) : { ok: false };
+    if (superseded()) return false;
+    if (!result.ok) {
+      reportPluginError(`プラグイン ${name} を読み込めませんでした`, clock);
+      return false;
+    }
+    entry = findPlugin(type, name === "default" ? "default" : url);
+  }
+  if (!entry) {
+    reportPluginError(`${type} プラグイン ${name} は登録されていません`, clock);
+    return false;
+  }
+
+  const active = clock.plugins.active;
+  if (type === "overlay") {
+    if (active.overlay.some(p => p.def === entry.def)) return true;
+  } else if (active[type] && active[type].def === entry.def) {
+    return true;
+  }
+
+  const plugin = createPluginInstance(entry, clock);
+  const ok = await initPlugin(plugin);
+  if (superseded()) {
+    disposePlugin(plugin);
+    return false;
+  }
+  if (!ok) {
+    return false;
+  }
+
+  if (type === "overlay") {
+    // 同じ overlay を並行して有効にしたときは先に済んだ方を使う
+    if (active.overlay.some(p => p.def === entry.def)) {
+      disposePlugin(plugin);
+      return true;
+    }
+    active.overlay.push(plugin);
+  } else {
+    disposePlugin(active[type]);
+    active[type] = plugin;
+  }
+  requestPluginRedraw(clock);
+  return true;
+}
+
+/* プラグインを無効にする
+  * name: overlay のときは無効にするプラグイン名（省略時はすべて）
+  * clock: 対象の時計（省略時はページの Wadokei）
+  */
+function removePlugin(type, name, clock = Wadokei) {
+  nextPluginRequest(type, clock);
+  const active = clock.plugins.active;
+  if (type === "overlay") {
+    const removed = active.overlay.filter(p => !name || p.name === name);
+    removed.forEach(disposePlugin);
+    active.overlay = active.overlay.filter(p => !removed.includes(p));
+  } else {
+    disposePlugin(active[type]);
+    active[type] = null;
+  }
+  requestPluginRedraw(clock);
+}
+
+/* 有効なプラグインを初期化し直す
+  * config.backgroundImage / handImage / pluginOptions を変えたときに使う
+  * 戻り値: Promise（すべて成功で true）
+  */
+async function reloadPlugin(type, clock = Wadokei) {
+  const active = clock.plugins.active[type];
+  const targets = type === "overlay" ? [...active] : active ? [active] : [];
+  const results = await Promise.all(targets.map(plugin => {
+    disposePlugin(plugin);
+    return initPlugin(plugin);
+  }));
+  requestPluginRedraw(clock);
+  return results.every(ok => ok);
+}
+
+/* 切り替えたプラグインを次のフレームで描かせる
+  * 盤面・暦は盤面レイヤーのキーで描き直されるが、針・重ね描きは秒が変わるまで描かれないため
+  */
+function requestPluginRedraw(clock) {
+  clock.state.drawnSecond = null;
+}
+
+/* 有効なプラグイン（描画できる状態のもの）
+  * clock: 対象の時計（省略時はページの Wadokei）
+  */
+function activePlugin(type, clock = Wadokei) {
+  const plugin = clock.plugins.active[type];
+  return plugin && plugin.ready ? plugin : null;
+}
+
+/*  プラグイン読み込み
+  * url: プラグインスクリプトのURL
+  * 戻り値: Promise（{ url, ok } のオブジェクト。読み込み失敗でも resolve）
+  */
+function loadPlugin(url) {
+  if (Wadokei.plugins.loaded[url]) {
+    return Wadokei.plugins.loaded[url];
+  }
+  const loading = new Promise(resolve => {
+    const script = document.createElement("script");
+    script.src = url;
+    script.onload = () => resolve({ url, ok: true });
+    script.onerror = () => {
+      delete Wadokei.plugins.loaded[url];
+      resolve({ url, ok: false });
+    };
+    document.head.appendChild(script);
+  });
+  Wadokei.plugins.loaded[url] = loading;
+  return loading;
+}
+
+/* プラグインの読み込み・初期化の失敗を知らせる
+  * clock: 失敗した時計（省略時はページの Wadokei）
+  */
+function reportPluginError(message, clock = Wadokei) {
+  clock.plugins.errors.push(message);
+  console.error(message);
+  showErrorMessage(message, clock);
+}
+
+Wadokei.plugins = {
+  registered: {},
+  active: { backplane: null, hand: null, calendar: null, overlay: [] },
+  requests: { backplane: 0, hand: 0, calendar: 0 },
+  loaded: {},
+  errors: []
+};
+Wadokei.registerPlugin = registerPlugin;
+Wadokei.usePlugin = usePlugin;
+Wadokei.removePlugin = removePlugin;
+Wadokei.reloadPlugin = reloadPlugin;
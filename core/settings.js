@@ -0,0 +1,292 @@
+/**
+ * 設定パネル（Wadokei Settings）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   config.json の主な項目（観測地・盤面の向き・プラグイン・画像・色など）を
+ *   ページ上で変更し、再読み込みせずに反映する。
+ *   変更した項目は localStorage に保存し、次回の表示でも使う。
+ *   設定は config.json の形式で書き出し・読み込みできる。
+ *
+ * 設定の決め方（後のものほど優先）:
+ *   1. config.json
+ *   2. localStorage（設定パネルで変更した項目だけを保存）
+ *   3. URL パラメータ（観測地・時刻。core/location.js / core/clock.js）
+ *
+ * 反映のしかた:
+ *   - 観測地・タイムゾーン: setLocation() で天文データを計算し直す
+ *   - 昼夜境界・日の区切り: 描画ループが sunDataKey() の変化を見て計算し直す
+ *   - 盤面の向き・色: 描画ループが盤面レイヤーのキーの変化を見て描き直す
+ *   - プラグイン: usePlugin() で切り替え、画像の変更は reloadPlugin() で読み込み直す
+ *   - 時の鐘: restartBell() で確認し直す（無効にしたら確認のタイマーを止める）
+ *
+ * 公開関数:
+ *   Wadokei.applySettings()  - 設定の変更（保存・反映）
+ *   Wadokei.exportSettings() - 設定を config.json の形式で返す
+ *   Wadokei.importSettings() - config.json の形式の文字列を読み込む
+ *   Wadokei.resetSettings()  - 保存した設定を消して config.json に戻す
+ */
+
+// localStorage のキー
+const SETTINGS_STORAGE_KEY = "wadokei.settings";
+
+// 観測地として扱う項目（setLocation() で反映する）
+const SETTINGS_LOCATION_KEYS = ["lat", "lon", "placeName", "timeZone"];
+
+// 画像の項目 → 読み込み直すプラグインの種類
+const SETTINGS_RESOURCE_KEYS = { backgroundImage: "backplane", handImage: "hand" };
+
+/* 保存した設定
+  * 戻り値: 設定オブジェクト（無い・壊れている場合は {}）
+  */
+function loadStoredSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}");
+    return stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+  } catch (e) {
+    console.warn("保存した設定を読み込めません", e);
+    return {};
+  }
+}
+
+/* 設定の保存（変更した項目を既存の保存内容に重ねる）
+  */
+function saveStoredSettings(changes) {
+  try {
+    const stored = { ...loadStoredSettings(), ...changes };
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(stored));
+  } catch (e) {
+    console.warn("設定を保存できません", e);
+  }
+}
+
+/* 設定の変更
+  * patch: 変更する項目（config.json と同じ形式。comment_ で始まる項目は無視）
+  * opt: { persist: localStorage に保存するか（省略時は true） }
+  * 戻り値: Promise（反映できれば true、観測地が不正なら false）
+  */
+async function applySettings(patch, opt = {}) {
+  const { persist = true } = opt;
+  const config = Wadokei.config;
+
+  const changes = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (key.startsWith("comment_")) continue;
+    if (JSON.stringify(config[key]) === JSON.stringify(value)) continue;
+    changes[key] = value;
+  }
+  if (Object.keys(changes).length === 0) {
+    return true;
+  }
+
+  // 観測地（緯度経度を検証してから反映する）
+  if (SETTINGS_LOCATION_KEYS.some(key => key in changes)) {
+    const moved = "lat" in changes || "lon" in changes;
+    const placeName = "placeName" in changes ? changes.placeName : moved ? "" : config.placeName;
+    const prevTimeZone = config.timeZone;
+    if ("timeZone" in changes) config.timeZone = changes.timeZone;
+
+    const ok = setLocation({
+      lat: "lat" in changes ? changes.lat : config.lat,
+      lon: "lon" in changes ? changes.lon : config.lon,
+      name: placeName || (moved ? undefined : Wadokei.state.location.name),
+      source: "settings"
+    });
+    if (!ok) {
+      config.timeZone = prevTimeZone;
+      showSettingsStatus("緯度・経度が正しくありません。");
+      syncSettingsControls();
+      return false;
+    }
+    changes.lat = config.lat;
+    changes.lon = config.lon;
+    changes.placeName = placeName;
+  }
+
+  Object.assign(config, changes);
+
+  // 時の鐘（有効にしたら確認を始め、無効にしたら止める）
+  if ("bell" in changes && typeof restartBell === "function") {
+    restartBell();
+  }
+
+  // 暦法（旧暦は次のフレームで計算し直す）
+  if ("calMode" in changes) {
+    Wadokei.calendar.calMode = config.calMode;
+    Wadokei.calendar.current = null;
+  }
+
+  // プラグインの切り替え（同じ種類の画像・設定の変更は切り替え時に反映される）
+  const switched = new Set();
+  const loads = [];
+  for (const [key, type] of [["handPlugin", "hand"], ["backplanePlugin", "backplane"], ["calendarPlugin", "calendar"]]) {
+    if (!(key in changes)) continue;
+    switched.add(type);
+    if (type === "calendar" && !config.calendarPlugin) {
+      removePlugin("calendar");
+    } else {
+      loads.push(usePlugin(type, config[key]));
+    }
+  }
+
+  // 画像・プラグイン設定の変更は有効なプラグインを読み込み直す
+  const reloads = new Set();
+  for (const [key, type] of Object.entries(SETTINGS_RESOURCE_KEYS)) {
+    if (key in changes) reloads.add(type);
+  }
+  if ("pluginOptions" in changes) {
+    ["backplane", "hand", "calendar", "overlay"].forEach(type => reloads.add(type));
+  }
+  for (const type of reloads) {
+    if (!switched.has(type)) loads.push(reloadPlugin(type));
+  }
+
+  if (persist) {
+    saveStoredSettings(changes);
+  }
+
+  // 情報パネル（七十二候・暦法など）を次のフレームで描き直す
+  Wadokei.state.panelSecond = null;
+  Wadokei.state.panelUpdatedAt = 0;
+  Wadokei.state.drawnSecond = null;
+
+  syncSettingsControls();
+  await Promise.all(loads);
+  return true;
+}
+
+/* 設定の書き出し
+  * 戻り値: config.json の形式の文字列
+  */
+function exportSettings() {
+  return JSON.stringify(Wadokei.config, null, 4);
+}
+
+/* 設定の読み込み
+  * text: config.json の形式の文字列
+  * 戻り値: Promise（読み込めれば true）
+  */
+async function importSettings(text) {
+  let imported;
+  try {
+    imported = JSON.parse(text);
+  } catch (e) {
+    showSettingsStatus(`設定ファイルを解釈できません（${e.message}）`);
+    return false;
+  }
+  if (!imported || typeof imported !== "object" || Array.isArray(imported)) {
+    showSettingsStatus("設定ファイルの形式が正しくありません。");
+    return false;
+  }
+
+  const ok = await applySettings(imported);
+  if (ok) showSettingsStatus("設定を読み込みました。");
+  return ok;
+}
+
+/* 保存した設定を消して config.json の値に戻す
+  */
+async function resetSettings() {
+  try {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+  } catch (e) {
+    console.warn("保存した設定を消せません", e);
+  }
+  const ok = await applySettings(Wadokei.state.fileConfig, { persist: false });
+  if (ok) showSettingsStatus("config.json の設定に戻しました。");
+  return ok;
+}
+
+/* 状態表示（読み込みの成否など）
+  */
+function showSettingsStatus(message) {
+  const $status = document.getElementById("settings-status");
+  if ($status) $status.textContent = message;
+}
+
+/* 入力欄の値 → 設定値
+  * data-setting="boundary.model" のように . で区切った項目は、その項目だけを差し替える
+  */
+function settingsPatchFromControl($input) {
+  const path = $input.dataset.setting.split(".");
+  let value = $input.type === "checkbox" ? $input.checked : $input.value;
+  if ($input.dataset.type === "number") {
+    value = Number(value);
+  }
+
+  if (path.length === 1) {
+    return { [path[0]]: value };
+  }
+  const [key, sub] = path;
+  return { [key]: { ...(Wadokei.config[key] || {}), [sub]: value } };
+}
+
+/* 入力欄の表示を Wadokei.config に合わせる
+  */
+function syncSettingsControls() {
+  for (const $input of document.querySelectorAll("[data-setting]")) {
+    const [key, sub] = $input.dataset.setting.split(".");
+    let value = Wadokei.config[key];
+    if (sub) value = (value || {})[sub];
+
+    if ($input.type === "checkbox") {
+      $input.checked = !!value;
+    } else {
+      $input.value = value === undefined || value === null ? "" : String(value);
+    }
+  }
+}
+
+/* 設定パネルの初期化
+  */
+function initSettingsControls() {
+  const $export = document.getElementById("settings-export");
+  const $import = document.getElementById("settings-import");
+  const $reset = document.getElementById("settings-reset");
+  if (!$export || !$import || !$reset) return;
+
+  for (const $input of document.querySelectorAll("[data-setting]")) {
+    $input.addEventListener("change", () => {
+      showSettingsStatus("");
+      applySettings(settingsPatchFromControl($input));
+    });
+  }
+
+  // 書き出し（config.json としてダウンロード）
+  $export.addEventListener("click", () => {
+    const blob = new Blob([exportSettings()], { type: "application/json" });
+    const $a = document.createElement("a");
+    $a.href = URL.createObjectURL(blob);
+    $a.download = "config.json";
+    $a.click();
+    URL.revokeObjectURL($a.href);
+  });
+
+  // 読み込み（ファイル選択）
+  $import.addEventListener("change", () => {
+    const file = $import.files && $import.files[0];
+    if (!file) return;
+    file.text().then(importSettings);
+    $import.value = "";
+  });
+
+  $reset.addEventListener("click", resetSettings);
+
+  syncSettingsControls();
+}
+
+/* 保存した設定を config.json の値に重ねる（InitWadokei から観測地の決定前に呼ぶ）
+  * config: config.json の内容
+  * 戻り値: 保存した設定を重ねた設定オブジェクト
+  */
+function mergeStoredSettings(config) {
+  Wadokei.state.fileConfig = { ...config };
+  return { ...config, ...loadStoredSettings() };
+}
+
+Wadokei.applySettings = applySettings;
+Wadokei.exportSettings = exportSettings;
+Wadokei.importSettings = importSettings;
+Wadokei.resetSettings = resetSettings;
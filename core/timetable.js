@@ -0,0 +1,130 @@
+/**
+ * 刻の時刻表（Wadokei Timetable）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   指定した期間について、1 日 1 行で十二刻の開始時刻（半刻を含めるなら正刻も）を表にし、
+ *   CSV・JSON に書き出す。計算は domain/timetable.mjs（buildKokuTimetable）で、
+ *   観測地・昼夜境界・タイムゾーンはページの設定（Wadokei.config）を使う。
+ *
+ * 備考:
+ *   - 刻の境界は盤面の刻線（computeDialAngles() の angleTick）と同じ値。
+ *   - 時刻は観測地のタイムゾーンで表示し、書き出しは ISO 8601（オフセット付き）。
+ *   - CSV は表計算ソフトで文字化けしないよう BOM を付ける。
+ */
+
+// 初期表示の日数（今日から）
+const TIMETABLE_DEFAULT_DAYS = 7;
+
+/* 期間の入力から時刻表を作る
+  * 戻り値: { table, opt }（入力が不正なら例外）
+  */
+function timetableFromControls() {
+  const from = document.getElementById("timetable-from").value;
+  const to = document.getElementById("timetable-to").value;
+  const half = document.getElementById("timetable-half").checked;
+  return { table: buildKokuTimetable(from, to || from, Wadokei.config), opt: { half } };
+}
+
+/* 状態の表示
+  */
+function showTimetableStatus(message) {
+  const $status = document.getElementById("timetable-status");
+  if ($status) $status.textContent = message;
+}
+
+/* 表の描画
+  */
+function renderTimetable(table, opt) {
+  const $table = document.getElementById("timetable");
+  if (!$table) return;
+  $table.textContent = "";
+  if (table.days.length === 0) return;
+
+  const tz = table.timeZone;
+  const time = d => d ? formatTime(d, tz) : "—";
+  const cells = (tag, values) => {
+    const $tr = document.createElement("tr");
+    for (const value of values) {
+      const $cell = document.createElement(tag);
+      $cell.textContent = value;
+      $tr.appendChild($cell);
+    }
+    return $tr;
+  };
+
+  const header = ["日付", "節気", "日の出", "日の入り", "明け六つ", "暮れ六つ", "昼の一刻", "夜の一刻"];
+  for (const k of table.days[0].koku) {
+    header.push(`${k.zodiac}（${k.name}）`);
+    if (opt.half) header.push(`${k.zodiac}の正刻`);
+  }
+  const $thead = document.createElement("thead");
+  $thead.appendChild(cells("th", header));
+  $table.appendChild($thead);
+
+  const $tbody = document.createElement("tbody");
+  for (const day of table.days) {
+    const row = [
+      day.date, day.sekki, time(day.sunrise), time(day.sunset), time(day.ake), time(day.kure),
+      `${day.dayKokuMinutes.toFixed(1)}分`, `${day.nightKokuMinutes.toFixed(1)}分`
+    ];
+    for (const k of day.koku) {
+      row.push(time(k.start));
+      if (opt.half) row.push(time(k.center));
+    }
+    $tbody.appendChild(cells("td", row));
+  }
+  $table.appendChild($tbody);
+}
+
+/* ファイルとしてダウンロード（core/calendar.js の .ics 書き出しでも使う）
+  */
+function downloadTextFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const $a = document.createElement("a");
+  $a.href = URL.createObjectURL(blob);
+  $a.download = filename;
+  $a.click();
+  URL.revokeObjectURL($a.href);
+}
+
+/* 刻の時刻表の初期化（InitWadokei から観測地の決定後に呼ぶ）
+  */
+function initTimetable() {
+  const $from = document.getElementById("timetable-from");
+  const $to = document.getElementById("timetable-to");
+  const $show = document.getElementById("timetable-show");
+  const $csv = document.getElementById("timetable-csv");
+  const $json = document.getElementById("timetable-json");
+  if (!$from || !$to || !$show || !$csv || !$json) return;
+
+  // 初期の期間: 表示中の日付から 1 週間（観測地の暦日）
+  const today = Wadokei.now();
+  const tz = Wadokei.sun.timeZone;
+  const { year, month, day } = getZonedParts(today, tz);
+  $from.value = formatDateKey(today, tz);
+  $to.value = formatDateKey(new Date(zonedTimeToUtc(year, month, day + TIMETABLE_DEFAULT_DAYS - 1, 12, 0, 0, tz)), tz);
+
+  // 表示・書き出しで共通（失敗したら理由を表示する）
+  const run = action => () => {
+    try {
+      const { table, opt } = timetableFromControls();
+      action(table, opt);
+      showTimetableStatus(`${table.days.length} 日分（${table.timeZone}）`);
+    } catch (e) {
+      showTimetableStatus(e.message);
+    }
+  };
+
+  $show.addEventListener("click", run(renderTimetable));
+  $csv.addEventListener("click", run((table, opt) => {
+    const name = `koku-${table.days[0].date}_${table.days[table.days.length - 1].date}.csv`;
+    downloadTextFile("\uFEFF" + timetableToCsv(table, opt), name, "text/csv");
+  }));
+  $json.addEventListener("click", run((table, opt) => {
+    const name = `koku-${table.days[0].date}_${table.days[table.days.length - 1].date}.json`;
+    downloadTextFile(timetableToJson(table, opt), name, "application/json");
+  }));
+}
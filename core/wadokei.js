@@ -12,21 +12,31 @@
  * 主な責務:
  *   - 設定ファイル（config.json）の読み込みと保持
  *   - SunCalc を用いた日の出・日の入り・真太陽時の計算
- *   - Canvas の初期化と描画ループ管理
- *   - 各描画プラグイン（drawBackplane / drawHand / drawCalendar）の呼び出し
- *   - 情報パネル（24節気・時刻・タイムゾーン）の更新
+ *   - Canvas の初期化と描画ループ管理（盤面はオフスクリーンのレイヤーに描き、針だけ毎フレーム描く）
+ *   - 各描画プラグイン（盤面・針・暦・重ね描き）の読み込みと呼び出し（core/plugins.js の登録簿を使う）
+ *   - 情報パネル（現在の刻・24節気・七十二候・時刻・タイムゾーン）の更新
  *
  * 公開される名前空間:
- *   Wadokei.config  - 設定（dialMode, calMode, lat, lon など）
- *   Wadokei.sun     - 天文データ（sunrise, sunset, Lday, trueNoon）
- *   Wadokei.state   - 描画状態（現在時刻など）
- *   Wadokei.hand    - 針プラグインが使用する画像・ロード状態
- *   Wadokei.backplane - 盤面プラグインが使用する画像・ロード状態
+ *   Wadokei.config  - 設定（dialMode, calMode, kouMode, lat, lon など）
+ *   Wadokei.sun     - 天文データ（sunrise, sunset, Lday, trueNoon, timeZone, polar）
+ *   Wadokei.state   - 描画状態（現在時刻 now、時刻源 clock など）
+ *   Wadokei.now()   - 表示中の時刻（core/clock.js。時間旅行・倍速に対応）
+ *   Wadokei.setLocation() - 観測地の変更（core/location.js。天文データも再計算）
+ *   Wadokei.applySettings() - 設定の変更（core/settings.js。localStorage に保存し、再読み込みせずに反映）
+ *   Wadokei.plugins - プラグイン登録簿（registered, active, errors）
+ *   Wadokei.registerPlugin() / usePlugin() / removePlugin() - プラグインの登録・切り替え（core/plugins.js）
+ *   Wadokei.calendar - 暦プラグイン枠（calMode, compute(), 現在の旧暦 current）
+ *   Wadokei.toWadoTime - 現代時刻 → 不定時法の変換（Canvas 不要）
+ *   Wadokei.wadoReading - 不定時法の刻 → "昼八つ半" などの四半刻単位の読み
+ *   Wadokei.fromWadoTime - 不定時法 → 現代時刻の変換（"暮六つ" などの表記も可）
+ *   Wadokei.getAltitudeCrossings - 太陽高度の通過時刻（昼夜境界の計算に使う、日ごとにキャッシュ）
  *
  * 注意:
- *   - SunCalc の計算は InitWadokei 内で初期化される。
- *   - 描画ループは startWadokei() により開始される。
- *   - プラグインは config.handPlugin / backplanePlugin / calendarPlugin により動的ロードされる。
+ *   - 天文・不定時法の計算は wadokei.mjs（ES モジュール）にあり、core/globals.mjs が window に公開する。
+ *     このファイル以降の core/ スクリプトは defer で読み込み、core/globals.mjs の後に実行すること。
+ *   - 描画ループは startWadokei() により開始される（requestAnimationFrame、タブ非表示中は停止）。
+ *   - プラグインは config.handPlugin / backplanePlugin / calendarPlugin / plugins により動的ロードされ、
+ *     読み込み・初期化に失敗した場合はページ上にエラーを表示する。
  *
  * このファイルは「和時計エンジンの中枢」であり、
  * プラグインはこのモジュールが提供するデータを参照して描画を行う。
@@ -38,8 +48,13 @@ window.Wadokei = {
   config: {},
   sun: {},
   state: {},
-  hand: {},
-  backplane: {}
+  calendar: {},
+  clocks: new Set(),
+  updatePanel: drawInfoPanel,
+  toWadoTime,
+  wadoReading,
+  fromWadoTime,
+  getAltitudeCrossings
 };
 
 /* 和時計初期化
@@ -51,7 +66,9 @@ window.Wadokei = {
 function InitWadokei(config, consts) {
 
   Wadokei.consts = { ...consts };
-  Wadokei.config = { ...config };
+
+  // config.json に設定パネルで保存した項目を重ねる（core/settings.js）
+  Wadokei.config = mergeStoredSettings(config);
 
   if (typeof WadokeiLocal !== 'undefined' && WadokeiLocal !== null) {
     Wadokei.consts.coreDir = WadokeiLocal.coreDir;
@@ -59,127 +76,324 @@ function InitWadokei(config, consts) {
     Wadokei.consts.pluginRsrcsDir = WadokeiLocal.pluginDir + '/rsrcs/';
   }
 
-  Wadokei.sun = ComputeSunData(new Date());
+  // 観測地（config → URL パラメータ）
+  initLocation();
+
+  // 時刻源（URL パラメータの日時は観測地のタイムゾーンで解釈）
+  applyClockParams(location.search);
+  initClockControls();
+
+  // 設定パネル
+  initSettingsControls();
+
+  // 天文データ・暦（旧暦）エンジン
+  initClockData(Wadokei);
 
   startWadokei();
 
+  // 時の鐘（config.bell.enabled のときだけ鳴らす）
+  initBell();
+
+  // 不定時法のアラーム（localStorage に保存したもの）
+  initAlarms();
+
+  // 刻の時刻表（期間の表示・書き出し）
+  initTimetable();
+
+  // 季節の暦（.ics 書き出し）
+  initCalendarExport();
+
 }
 
 /*  設定・定数読み込みと初期化
+  * config-loader.js を読み込まないページ（<wado-kei> 要素だけを置く場合）ではページの時計を作らない
+  * InitWadokei は後続の defer スクリプト（location.js〜calendar.js）の関数を呼ぶため、
+  * それらがすべて実行された後の DOMContentLoaded を待つ（fetch の方が早く終わることがある）
   */
-Promise.allSettled([configPromise, constsPromise])
-  .then(results => {
-    const [configRes, constsRes] = results;
-
-    if (configRes.status !== "fulfilled") {
-      return showErrorMessage("config.json の読み込みに失敗しました。");
-    }
-    if (constsRes.status !== "fulfilled") {
-      return showErrorMessage("consts.json の読み込みに失敗しました。");
+if (typeof configPromise !== "undefined") {
+  const domReady = new Promise(resolve => {
+    if (document.readyState === "complete") {
+      resolve();
+    } else {
+      document.addEventListener("DOMContentLoaded", resolve, { once: true });
     }
-
-    InitWadokei(configRes.value, constsRes.value);
   });
 
+  Promise.allSettled([configPromise, constsPromise, domReady])
+    .then(results => {
+      const [configRes, constsRes] = results;
+
+      if (configRes.status !== "fulfilled") {
+        return showErrorMessage("config.json の読み込みに失敗しました。");
+      }
+      if (constsRes.status !== "fulfilled") {
+        return showErrorMessage("consts.json の読み込みに失敗しました。");
+      }
+
+      InitWadokei(configRes.value, constsRes.value);
+    });
+}
+
 
 /* 針描画（簡易版）はプラグインへ移動しました */
 
 /* 盤面描画（簡易版）はプラグインへ移動しました */
 
 /* 和時計描画
+  * 盤面（背景・干支・刻線・暦）はオフスクリーンの盤面レイヤーから転写し、針だけを描く
+  * dialMode が "回転盤" のときは盤面レイヤーを回して転写し、針は真上に固定する
+  * clock: 描画する時計（省略時はページの Wadokei。<wado-kei> 要素は自分の時計を渡す）
   */
-function drawClock() {
-  const { dialMode, calMode, lat, lon } = Wadokei.config;
-  const { sunrise, sunset, Lday, trueNoon } = Wadokei.sun;
-  const ctx = Wadokei.ctx;
-  const radius = Wadokei.radius;
-  const canvas = Wadokei.canvas;
-
-  // 座標系リセット
+function drawClock(clock = Wadokei) {
+  const ctx = clock.ctx;
+  const radius = clock.radius;
+  const canvas = clock.canvas;
+
+  // 盤面レイヤー（変化したときだけ描き直す）
+  const layer = updateBackplaneLayer(clock);
+
+  // 表示時刻（draw() で確定したもの）
+  const nowTime = clock.state.now || Wadokei.now();
+  const layout = clockLayout(clock);
+  const hand = activePlugin("hand", clock);
+  const rotating = isRotatingDial(clock);
+
+  // 座標系リセットして盤面を転写（回転盤は今の時刻が真上に来るよう中央で回す）
   ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.globalAlpha = 1.0;
+  if (rotating) {
+    ctx.save();
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(Math.PI * 3 / 2 - (dialHandAngle(nowTime, clock) + layer.shift));
+    ctx.drawImage(layer.canvas, -canvas.width / 2, -canvas.height / 2);
+    ctx.restore();
+  } else {
+    ctx.drawImage(layer.canvas, 0, 0);
+  }
 
-  // 座標系をスケール
+  // 座標系をスケールして中央へ移動
   ctx.scale(2, 2);
+  ctx.translate(radius, radius);
 
-  // 中央へ移動
-  ctx.translate(Wadokei.radius, Wadokei.radius);
+  // 回転盤では白夜・極夜と暦を盤面と一緒に回さない（毎フレーム正立で描く）
+  if (rotating) {
+    drawDialLabels(ctx, layer, clock);
+  }
 
-  // 透明度リセット
-  ctx.globalAlpha = 1.0;
+  if (layout === "pillar") {
+    // 尺時計: 角度の代わりに目盛り板の上端からの位置を渡す（同じ layout の針だけ描く）
+    if (hand && hand.manifest.layout === "pillar" && layer.plate) {
+      const position = pillarPosition(nowTime.getTime(), computePillarScale(clock.sun));
+      hand.def.draw(ctx, position, layer.plate, { scale: 0.4 }, hand);
+    }
+  } else {
+    drawDialHand(ctx, nowTime, layer, hand, clock);
+  }
 
-  // 昼夜長の計算
-  let dayLength = sunset - sunrise;
-  let nightLength = (sunrise + 24 * 3600 * 1000) - sunset;
+  // 重ね描き（針の上に毎フレーム描く）
+  for (const overlay of clock.plugins.active.overlay) {
+    if (!overlay.ready) continue;
+    overlay.def.draw(ctx, radius, {
+      now: nowTime,
+      sun: clock.sun,
+      calendar: clock.calendar.current
+    }, overlay);
+  }
+}
 
-  let dayAngle = (dayLength / (dayLength + nightLength)) * 2 * Math.PI;
-  let nightAngle = 2 * Math.PI - dayAngle;
+/* 丸い盤面の針（角度を観測地の時刻から求めて針プラグインに渡す）
+  * 回転盤では針は指標として真上に固定する（午上の盤面で補正後の正午を指す角度・補正なし）
+  */
+function drawDialHand(ctx, nowTime, layer, hand, clock) {
+  const radius = clock.radius;
+  const rotating = isRotatingDial(clock);
+  const angle = rotating ? Math.PI * 3 / 2 : dialHandAngle(nowTime, clock);
+
+  // 針描画（針プラグインが読み込み済みで、尺時計用でない場合のみ）
+  if (hand && hand.manifest.layout !== "pillar") {
+    hand.def.draw(ctx, angle, radius - 60, {
+      scale: 0.4,
+      offsetX: 0,
+      offsetY: 0,
+      tickShift: rotating ? 0 : layer.shift
+    }, hand);
+  }
+}
 
-  // sunrise は number（ミリ秒）なので Date に戻す
-  let sunriseDate = new Date(sunrise);
+/* 針の角度（観測地の常用時から。0=右方向・時計回り、正午補正 tickShift は含まない）
+  * 回転盤は午上の盤面を回すので、午上と同じ角度になる
+  */
+function dialHandAngle(nowTime, clock = Wadokei) {
+  const { dialMode, smoothHand } = clock.config;
+
+  let now = getZonedParts(nowTime, clock.sun.timeZone);
+  let seconds = now.hour * 3600 + now.minute * 60 + now.second;
+  if (smoothHand) {
+    // 連続運針: 秒未満も角度に含める
+    seconds += (nowTime.getTime() % 1000) / 1000;
+  }
+  let angle = (seconds / 86400) * 2 * Math.PI;
 
-  // 今日の0時から日の出までの秒数
-  let sunriseSec =
-    sunriseDate.getHours() * 3600 +
-    sunriseDate.getMinutes() * 60 +
-    sunriseDate.getSeconds();
+  if (dialMode === "子上") {
+    angle -= Math.PI / 2;
+  } else {
+    angle += Math.PI / 2;
+  }
+  return angle;
+}
 
-  // 1日の中の位置（0〜2π）
-  let startAngle = (sunriseSec / (24 * 3600)) * 2 * Math.PI;
+/* 回転盤（針を固定して盤面を回す）か。尺時計では使わない
+  */
+function isRotatingDial(clock = Wadokei) {
+  return clock.config.dialMode === "回転盤" && clockLayout(clock) === "dial";
+}
 
-  // 真上を0radにしたいなら -90°補正
-  // startAngle -= Math.PI / 2;
+/* 時計の形（盤面プラグインの manifest.layout。"dial"（丸い盤面）または "pillar"（尺時計））
+  */
+function clockLayout(clock = Wadokei) {
+  const backplane = activePlugin("backplane", clock);
+  return (backplane && backplane.manifest.layout) || "dial";
+}
 
-  // 盤面描画（ここに全部押し込む）
-  const bp = drawBackplane(ctx, radius, {
-    startAngle,
-    dayAngle,
-    nightAngle,
-    dialMode,
-    sunrise,
-    sunset
-  });
-  const tickShift = bp.shift;
+/* 盤面レイヤーを描き直す条件のキー
+  * 天文データ・大きさ・見た目の設定・盤面/暦プラグインの切り替えと準備完了・旧暦（月齢）のいずれかが変われば描き直す
+  */
+function backplaneLayerKey(clock = Wadokei) {
+  const { dialMode, font, dayColor, nightColor, backgroundImage, subTicks } = clock.config;
+  const { ake, kure, kurePrev, akeNext, noon, polar } = clock.sun;
+  const cal = clock.calendar.current;
+  const backplane = activePlugin("backplane", clock);
+  const calendar = activePlugin("calendar", clock);
+  return JSON.stringify([
+    clock.canvas.width, clock.uiScale,
+    dialMode, font, dayColor, nightColor, backgroundImage, subTicks,
+    backplane && backplane.name, calendar && calendar.name,
+    ake, kure, kurePrev, akeNext, noon, polar,
+    cal ? [cal.year, cal.month, cal.day, cal.leap, Math.round(cal.moonAge * 10)] : null
+  ]);
+}
 
-  // 針の角度計算
-  let now = new Date();
-  let seconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
-  let angle = (seconds / 86400) * 2 * Math.PI;
+/* 盤面レイヤーの更新
+  * 戻り値: clock.layer（{ canvas, key, shift, plate }）
+  *   plate は尺時計の目盛り板の位置（盤面プラグインの戻り値。丸い盤面では null）
+  */
+function updateBackplaneLayer(clock = Wadokei) {
+  const layer = clock.layer || (clock.layer = {});
+  const key = backplaneLayerKey(clock);
+  if (layer.canvas && layer.key === key) {
+    return layer;
+  }
 
-  if (dialMode === "午上") {
-    angle += Math.PI / 2;
-  } else {
-    angle -= Math.PI / 2;
+  const { dialMode, dayColor, nightColor, subTicks } = clock.config;
+  const { sunrise, sunset } = clock.sun;
+  const radius = clock.radius;
+
+  if (!layer.canvas) {
+    layer.canvas = document.createElement("canvas");
   }
+  layer.canvas.width = clock.canvas.width;
+  layer.canvas.height = clock.canvas.height;
+  const ctx = layer.canvas.getContext("2d");
 
-  // 針描画
-  drawHand(angle, radius - 60, {
-    scale: 0.4,
-    offsetX: 0,
-    offsetY: 0,
-    tickShift: tickShift
-  });
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+  ctx.scale(2, 2);
+  ctx.translate(radius, radius);
+  ctx.globalAlpha = 1.0;
+
+  // 針の正午補正は盤面プラグインの有無にかかわらず時刻表から求める
+  layer.shift = computeDialAngles(clock.sun, dialMode).shift;
+
+  // 盤面描画（昼夜境界は clock.sun の ake/kure を共有）
+  const backplane = activePlugin("backplane", clock);
+  layer.plate = null;
+  if (backplane) {
+    const result = backplane.def.draw(ctx, radius, {
+      dialMode,
+      sunrise,
+      sunset,
+      dayColor,
+      nightColor,
+      subTicks
+    }, backplane);
+    if (backplane.manifest.layout === "pillar" && result) {
+      layer.plate = result.plate;
+    }
+  }
+
+  // 回転盤では盤面と一緒に回らないよう drawClock() で描く
+  if (!isRotatingDial(clock)) {
+    drawDialLabels(ctx, layer, clock);
+  }
+
+  layer.key = key;
+  return layer;
 }
 
-/*  プラグイン読み込み
-  * url: プラグインスクリプトのURL
-  * 戻り値: Promise（{ url, ok } のオブジェクト）
+/* 白夜・極夜の表示と暦（盤面の上に重ねる文字）
+  * ctx: 中央を原点にした座標系
   */
-function loadPlugin(url) {
-  return new Promise(resolve => {
-    const script = document.createElement("script");
-    script.src = url;
-    script.onload = () => resolve({ url, ok: true });
-    script.onerror = () => resolve({ url, ok: false }); // ← 読み込み失敗でも resolve
-    document.head.appendChild(script);
-  });
+function drawDialLabels(ctx, layer, clock = Wadokei) {
+  const radius = clock.radius;
+
+  // 尺時計は中央が目盛り板なので、白夜・極夜と暦は板の右に寄せる
+  ctx.save();
+  if (layer.plate) {
+    ctx.translate((layer.plate.right + radius) / 2, 0);
+  }
+
+  // 白夜・極夜（昼夜境界が無く定時で表示している）の表示
+  if (clock.sun.polar) {
+    drawPolarState(ctx, radius, clock.sun.polar, clock);
+  }
+
+  // 暦描画（暦プラグインが読み込まれている場合のみ）
+  const calendar = activePlugin("calendar", clock);
+  if (calendar) {
+    calendar.def.draw(ctx, radius, clock.calendar.current, calendar);
+  }
+  ctx.restore();
+}
+
+/* 白夜・極夜の表示（盤面の中央上）
+  * polar: "白夜" または "極夜"
+  */
+function drawPolarState(ctx, radius, polar, clock = Wadokei) {
+  const font = clock.config.font || {};
+  const scale = clock.uiScale || 1;
+
+  ctx.save();
+  try {
+    ctx.font = `${14 * scale}px 'Yu Mincho', serif`;
+    ctx.fillStyle = font.colorZodiac || "#5c3317";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(`${polar}（定時）`, 0, -radius * 0.38);
+  } finally {
+    ctx.restore();
+  }
+}
+
+/* エラー表示（設定・プラグインの読み込み失敗など）
+  * message: 表示する文言（複数回呼ばれた場合は追記する）
+  * clock: 失敗した時計（<wado-kei> 要素は clock.errorElement に表示する）
+  */
+function showErrorMessage(message, clock = Wadokei) {
+  const $error = clock.errorElement || document.getElementById("error");
+  if (!$error) return;
+  const $line = document.createElement("div");
+  $line.textContent = message;
+  $error.appendChild($line);
+  $error.hidden = false;
 }
 
 /*  Canvas初期化
+  * <wado-kei> 要素の時計は自分の canvas を clock.canvas に入れてから呼ぶ
   */
-function initCanvas() {
+function initCanvas(clock = Wadokei) {
   // Canvas 初期化
-  const canvas = document.getElementById('clock');
+  const canvas = clock.canvas || document.getElementById('clock');
   const ctx = canvas.getContext('2d');
 
   // CSS の表示サイズを取得
@@ -189,10 +403,10 @@ function initCanvas() {
   canvas.width = displaySize * 2;
   canvas.height = displaySize * 2;
 
-  // ★ ここでグローバル共有
-  Wadokei.canvas = canvas;
-  Wadokei.ctx = ctx;
-  Wadokei.radius = displaySize / 2;
+  // ★ ここで時計ごとに共有
+  clock.canvas = canvas;
+  clock.ctx = ctx;
+  clock.radius = displaySize / 2;
 }
 
 // UIスケール設定
@@ -226,116 +440,290 @@ function uiScaleFromWidth(w) {
 }
 
 /*  和時計の描画（務さんのロジックを利用）
-  * config: 設定オブジェクト
+  * clock: 描画する時計（省略時はページの Wadokei）
   */
-function draw() {
-  const beforeWidth = Wadokei.canvas.clientWidth;
-
-  if (Wadokei.lastCanvasWidth !== beforeWidth) {
-    initCanvas();
-    const afterWidth = Wadokei.canvas.clientWidth;
-    Wadokei.lastCanvasWidth = afterWidth;
-    Wadokei.uiScale = uiScaleFromWidth(afterWidth);
+function draw(clock = Wadokei) {
+  const beforeWidth = clock.canvas.clientWidth;
+  clock.state.drawnWidth = beforeWidth;
+
+  if (clock.lastCanvasWidth !== beforeWidth) {
+    initCanvas(clock);
+    const afterWidth = clock.canvas.clientWidth;
+    clock.lastCanvasWidth = afterWidth;
+    clock.uiScale = uiScaleFromWidth(afterWidth);
+  }
+  // console.log(`UI Scale: ${clock.uiScale}`);
+
+  // 表示時刻（時間旅行・倍速を含む）をこのフレームで固定
+  const nowTime = Wadokei.now();
+  clock.state.now = nowTime;
+
+  // 天文データの再計算（日の区切りを越えたとき、観測地・設定が変わったとき）
+  const sunKey = sunDataKey(clock);
+  const t = nowTime.getTime();
+  if (clock.state.sunKey !== sunKey || !(clock.sun.dayStart <= t && t < clock.sun.dayEnd)) {
+    clock.sun = ComputeSunData(nowTime, clock.config);
+    clock.state.sunKey = sunKey;
   }
-  // console.log(`UI Scale: ${Wadokei.uiScale}`);
 
-  // 日の出・日の入り再計算（1日1回実行）
-  const nowTime = new Date();
-  const today = nowTime.toDateString();
+  // 表示時刻の秒が変わったときだけ旧暦・情報パネルを更新する
+  // （倍速・連続運針では毎フレーム変わるので、実時間で 250ms に 1 回まで）
+  const second = Math.floor(t / 1000);
+  const real = Date.now();
+  const panelDue = second !== clock.state.panelSecond &&
+    !(real - (clock.state.panelUpdatedAt || 0) < 250);
 
-  if (Wadokei.state.lastSunCalcDate !== today) {
-    ComputeSunData(nowTime);
-    Wadokei.state.lastSunCalcDate = today;
+  if (panelDue || !clock.calendar.current) {
+    // 旧暦（日付単位でキャッシュされる）
+    clock.calendar.current = clock.calendar.compute(nowTime);
   }
 
-  // 描画処理引数は全てWadokeiから取得
-  drawClock();
+  // 描画処理引数は全て clock から取得
+  drawClock(clock);
+  clock.state.drawnSecond = second;
 
-  // 情報パネル更新
-  drawInfoPanel(nowTime);
+  // 情報パネル更新（ページは drawInfoPanel、<wado-kei> 要素は自分の表示）
+  if (panelDue) {
+    clock.updatePanel(nowTime, clock);
+    clock.state.panelSecond = second;
+    clock.state.panelUpdatedAt = real;
+  }
 }
 
-/* 描画ループ開始
+/* このフレームで描き直す必要があるか
+  * 連続運針なら毎フレーム、そうでなければ表示時刻の秒・天文データ・大きさ・盤面が変わったときだけ
   */
-function startClockLoop() {
-  draw();
-  setInterval(draw, 1000);
+function needsRedraw(clock = Wadokei) {
+  if (clock.config.smoothHand) return true;
+  if (Math.floor(Wadokei.now().getTime() / 1000) !== clock.state.drawnSecond) return true;
+  if (clock.state.sunKey !== sunDataKey(clock)) return true;
+  if (clock.canvas.clientWidth !== clock.state.drawnWidth) return true;
+  return !clock.layer || clock.layer.key !== backplaneLayerKey(clock);
 }
 
-/*  メイン関数
+/* 天文データを計算し直す条件（日付以外）のキー
+  * 観測地・タイムゾーン・昼夜境界・日の区切り・割駒の掛け替え間隔のいずれかが変われば再計算する
   */
-function startWadokei() {
+function sunDataKey(clock = Wadokei) {
+  const { lat, lon, timeZone, boundary, dayBoundary, adjustMode } = clock.config;
+  return JSON.stringify([lat, lon, timeZone, boundary, dayBoundary, adjustMode]);
+}
 
-  // Canvas 初期化
-  initCanvas();
+/* 描画ループ開始（requestAnimationFrame）
+  * 描き直しが必要なフレームだけ draw() を呼ぶ。タブが非表示の間は止める
+  */
+function startClockLoop(clock = Wadokei) {
+  const frame = () => {
+    clock.state.loopTimer = requestAnimationFrame(frame);
+    if (needsRedraw(clock)) {
+      draw(clock);
+    }
+  };
+  draw(clock);
+  clock.state.loopTimer = requestAnimationFrame(frame);
+}
 
-  // プラグイン名を決定（default → core に置き換え）
-  let handPlugin = Wadokei.config.handPlugin;
-  if (!handPlugin || handPlugin === "default") {
-    handPlugin = Wadokei.consts.coreDir + Wadokei.consts.defaultHand;
-  } else {
-    handPlugin = Wadokei.consts.pluginDir + handPlugin;
-  }
+/* 描画ループ停止
+  */
+function stopClockLoop(clock = Wadokei) {
+  cancelAnimationFrame(clock.state.loopTimer);
+  clock.state.loopTimer = null;
+}
 
-  let backplanePlugin = Wadokei.config.backplanePlugin;
-  if (!backplanePlugin || backplanePlugin === "default") {
-    backplanePlugin = Wadokei.consts.coreDir + Wadokei.consts.defaultBackplane;
-  } else {
-    backplanePlugin = Wadokei.consts.pluginDir + backplanePlugin;
+/* 描画ループ再起動（時刻源が変わったとき・タブが再表示されたとき）
+  */
+function restartClockLoop(clock = Wadokei) {
+  stopClockLoop(clock);
+  clock.state.drawnSecond = null;
+  clock.state.panelSecond = null;
+  if (!document.hidden) {
+    startClockLoop(clock);
   }
+}
 
-  // 読み込むプラグイン一覧
-  const pluginNames = [
-    handPlugin,
-    backplanePlugin,
-  ];
+/* タブの表示・非表示に合わせて描画ループを止める・再開する
+  */
+document.addEventListener("visibilitychange", () => {
+  for (const clock of Wadokei.clocks) {
+    if (!clock.state.loopStarted) continue;
+    if (document.hidden) {
+      stopClockLoop(clock);
+    } else {
+      restartClockLoop(clock);
+    }
+  }
+});
 
-  // ロード開始
-  const pluginLoads = Promise.all(
-    pluginNames
-      .filter(name => name)     // 空文字を除外
-      .map(name => loadPlugin(name))
-  );
+/*  メイン関数
+  * clock: 開始する時計（省略時はページの Wadokei）
+  */
+function startWadokei(clock = Wadokei) {
 
-  // ここから先は「プラグイン読み込み後」に実行したい処理
+  // Canvas 初期化
+  initCanvas(clock);
+
+  const { handPlugin, backplanePlugin, calendarPlugin, overlayPlugins = [], plugins = [] } = clock.config;
+
+  // 有効にするプラグイン（未指定・"default" は core の標準プラグイン。暦は任意）
+  const pluginLoads = Promise.all([
+    usePlugin("hand", handPlugin, clock),
+    usePlugin("backplane", backplanePlugin, clock),
+    calendarPlugin ? usePlugin("calendar", calendarPlugin, clock) : true,
+    ...overlayPlugins.map(spec => usePlugin("overlay", spec, clock)),
+    // 追加で読み込むプラグイン（切り替え用の針・盤面や重ね描き）
+    ...plugins.map(file => loadPlugin(clock.consts.pluginDir + file).then(result => {
+      if (!result.ok) reportPluginError(`プラグイン ${file} を読み込めませんでした`, clock);
+    }))
+  ]);
+
+  // ここから先は「プラグイン読み込み後」に実行したい処理（失敗したプラグインは描かずに進む）
   pluginLoads.then(results => {
+    // 停止済み（要素が外された）なら開始しない
+    if (clock.state.stopped) return;
+
     // Clockループ開始
-    startClockLoop();
+    Wadokei.clocks.add(clock);
+    clock.state.loopStarted = true;
+    startClockLoop(clock);
   });
 }
 
+/* 時計の停止（<wado-kei> 要素が外されたとき）
+  * 描画ループを止め、プラグインを無効にする
+  */
+function stopWadokei(clock) {
+  clock.state.stopped = true;
+  clock.state.loopStarted = false;
+  stopClockLoop(clock);
+  Wadokei.clocks.delete(clock);
+  for (const type of ["backplane", "hand", "calendar", "overlay"]) {
+    removePlugin(type, undefined, clock);
+  }
+}
+
+/* 時計（描画の単位）の作成
+  * ページの Wadokei と同じ形（config, consts, sun, state, calendar, plugins）を持つ。
+  * <wado-kei> 要素は 1 つずつ自分の時計を持ち、天文データ・Canvas・プラグインを共有しない
+  */
+function createWadokeiClock(config, consts) {
+  return {
+    config: { ...config },
+    consts: { ...consts },
+    sun: {},
+    state: {},
+    calendar: {},
+    plugins: {
+      active: { backplane: null, hand: null, calendar: null, overlay: [] },
+      requests: { backplane: 0, hand: 0, calendar: 0 },
+      errors: []
+    },
+    updatePanel() { }
+  };
+}
+
+/* 天文データと暦（旧暦）エンジンの初期化
+  * 暦は calMode に従って、時計の観測地のタイムゾーンで計算する
+  */
+function initClockData(clock) {
+  clock.sun = ComputeSunData(Wadokei.now(), clock.config);
+  clock.calendar.calMode = clock.config.calMode;
+  clock.calendar.compute = date => getKyureki(date, clock.calendar.calMode, clock.sun.timeZone);
+  clock.calendar.current = clock.calendar.compute(Wadokei.now());
+}
+
+/* タイムゾーンが推定のときの注意（IANA の地域名で確かめられたものなら空文字）
+  */
+function describeTimeZoneGuess(info) {
+  if (info.source === "longitude") {
+    return " ※経度からの推定（夏時間は反映されません。設定のタイムゾーンに IANA 名を指定してください）";
+  }
+  if (info.source === "device") {
+    return " ※端末のタイムゾーンからの推定";
+  }
+  return "";
+}
+
+/* 割駒（節気ごとの掛け替え）の表示
+  * 合わせた節気と、その日の天文計算どおりの明け六つ・暮れ六つとの差（正なら時計の方が遅い）
+  */
+function describeSekkiAdjust(sun) {
+  const { adjustSekki, exact, timeZone } = sun;
+  return `割駒: ${adjustSekki.name}の節入り（${formatMonthDayTime(adjustSekki.start, timeZone)}）の日に合わせた目盛り` +
+    `\n実際との差: 明け六つ ${formatTimeDifference(sun.ake - exact.ake)}（実際 ${formatTime(new Date(exact.ake), timeZone)}）` +
+    ` 暮れ六つ ${formatTimeDifference(sun.kure - exact.kure)}（実際 ${formatTime(new Date(exact.kure), timeZone)}）`;
+}
+
 /* 情報パネル描画
   * nowTime: Dateオブジェクト（現在日時）
   */
 function drawInfoPanel(nowTime) {
-  const { sunrise, sunset, ake, kure } = Wadokei.sun;
+  const { sunrise, sunset, ake, kure, boundary, timeZone } = Wadokei.sun;
 
   // 表示用DOM
   const $datetime = document.getElementById('datetime');
   const $sekki = document.getElementById('sekki');
   const $timezone = document.getElementById('timezone');
+  const $kou = document.getElementById('kou');
+  const $kyureki = document.getElementById('kyureki');
+  const $place = document.getElementById('place');
+
+  // 観測地
+  const loc = Wadokei.state.location;
+  $place.textContent = loc.name === formatLatLon(loc.lat, loc.lon)
+    ? loc.name
+    : `${loc.name}（${formatLatLon(loc.lat, loc.lon)}）`;
+
+  // タイムゾーン表示（観測地のタイムゾーン。端末と異なる場合は併記）
+  const tz = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const deviceTz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  $timezone.textContent = `${tz}（${formatUtcOffset(nowTime, tz)}）` +
+    (deviceTz !== tz ? ` 端末: ${deviceTz}` : "") +
+    describeTimeZoneGuess(resolveTimeZoneInfo(Wadokei.config.timeZone, loc.lat, loc.lon));
+
+  // 現在日時（観測地の時刻。時間旅行中はその旨を添える）
+  const speed = Wadokei.state.clock.speed;
+  const simLabel = speed === 0 ? "（停止中）" : speed !== 1 ? `（×${speed}）` : "（時間旅行中）";
+  $datetime.textContent = formatDateTime(nowTime, tz) + (isSimulatedClock() ? ` ${simLabel}` : "");
+
+  // 現在の刻（四半刻単位の読み・次の正刻までの残り・この刻の長さ）
+  const $koku = document.getElementById('koku');
+  if ($koku) {
+    const wado = toWadoTime(nowTime, Wadokei.config);
+    const reading = wadoReading(wado);
+    // 読みが変わるのは正刻なので、残りも刻の境目ではなく次の正刻まで
+    const t = nowTime.getTime();
+    const next = t < wado.center ? wado.center : wado.nextCenter;
+    $koku.textContent = `${reading.text}（${wado.zodiac}の刻） 次の正刻まで ${formatCountdown(next - t)}` +
+      ` 一刻の長さ ${((wado.end - wado.start) / 60000).toFixed(1)}分`;
+  }
 
-  // タイムゾーン表示
-  const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
-  $timezone.textContent = tz;
-
-  // 現在日時 
-  $datetime.textContent = formatDateTime(nowTime);
-
-  // 日の出・日の入り時刻
-  const sunriseStr = formatTime(new Date(sunrise));
-  const sunsetStr = formatTime(new Date(sunset));
+  // 日の出・日の入り時刻（白夜・極夜では無い）
+  const sunriseStr = sunrise !== null ? formatTime(new Date(sunrise), tz) : "なし";
+  const sunsetStr = sunset !== null ? formatTime(new Date(sunset), tz) : "なし";
 
   //卯の正刻・酉の正刻表示
-  const akeStr = formatTime(new Date(ake));
-  const kureStr = formatTime(new Date(kure));
+  const akeStr = formatTime(new Date(ake), tz);
+  const kureStr = formatTime(new Date(kure), tz);
 
   // 24節気判定（terms.js の getSekki を使用）
   const sekki = getSekki(nowTime);
-  // 例: { index: 4, name: '春分', next: Date }
+  // 例: { index: 4, name: '春分', start: Date, end: Date, prev, next }
+  const sekkiStartStr = formatMonthDayTime(sekki.start, tz);
+  const sekkiNextStr = formatMonthDayTime(sekki.end, tz);
   $sekki.textContent = `第${sekki.index}節 ${sekki.name}`;
   // 二十四節気の表示に追加
-  $sekki.innerText = `第${sekki.index}節 ${sekki.name}\n日の出: ${sunriseStr} 卯正刻: ${akeStr}\n日の入: ${sunsetStr} 酉正刻: ${kureStr}`;
+  $sekki.innerText = `第${sekki.index}節 ${sekki.name}（${sekkiStartStr}〜） 次: ${sekki.next.name} ${sekkiNextStr}\n日の出: ${sunriseStr} 卯正刻: ${akeStr}\n日の入: ${sunsetStr} 酉正刻: ${kureStr}\n昼夜境界: ${boundary.label}` +
+    (Wadokei.sun.dayBoundary === "明け六つ" ? "（日の区切り: 明け六つ）" : "") +
+    (Wadokei.sun.adjustMode === "節気" ? `\n${describeSekkiAdjust(Wadokei.sun)}` : "") +
+    (Wadokei.sun.polar ? `\n${Wadokei.sun.polar}のため境界を求められず、南中の前後6時間を明け六つ・暮れ六つとしています` : "");
+
+  // 七十二候（config.kouMode: 本朝 / 宣明暦）
+  const kou = getKou(nowTime, Wadokei.config.kouMode);
+  $kou.innerText = `${kou.sekki} ${kou.phase}「${kou.name}」（${kou.reading}）\n${kou.description}`;
+
+  // 旧暦（config.calMode の暦法）
+  const kyureki = Wadokei.calendar.current;
+  $kyureki.textContent = `${kyureki.calMode} ${formatKyureki(kyureki)} 月齢 ${kyureki.moonAge.toFixed(1)}`;
 
 }
 ;
\ No newline at end of file
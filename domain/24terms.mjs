@@ -0,0 +1,387 @@
+/**
+ * 二十四節気計算モジュール
+ *
+ * 作成日: 2025-12-24
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   このモジュールは、指定した日時における二十四節気を計算し、
+ *   現在の節気・次の節気・前の節気、および節気の開始時刻を返す。
+ *
+ *   計算は太陽黄経（ecliptic longitude）を基準とし、
+ *   0°（春分）から 360° までを 15° 刻みで区切った
+ *   24 の節気区分に基づいて判定する。
+ *
+ *   寛政暦の定義に基づく「伏角 7°21′40″」などの
+ *   夜明け・日暮れ計算とは独立しており、
+ *   本モジュールは純粋に太陽黄経のみを扱う。
+ *
+ * 機能:
+ *   - 指定日時の太陽黄経を計算
+ *   - 現在の節気 index（1〜24、立春=1）を判定
+ *   - 節気名（例: 立春・雨水・啓蟄 …）を返す
+ *   - 次の節気までの残り時間を計算
+ *   - 前後の節気の開始日時を返す
+ *   - 指定年の節気一覧（getSekkiForYear）
+ *   - 七十二候（本朝七十二候・宣明暦）の判定（getKou）
+ *
+ * 依存:
+ *   - なし（太陽黄経は本モジュール内の近似式で計算する）
+ *
+ * 注意:
+ *   - 節気の開始は瞬間（Date）として求まる。日付への割り当てのみタイムゾーンに依存する。
+ *   - 太陽黄経は『新こよみ便利帳』の近似式（ΔT 補正込み）による。誤差は数分程度。
+ *   - 旧暦（太陰太陽暦）の朔望計算とは無関係。
+ *
+ * @module 24terms
+ */
+
+const SEKki_ORDER = [
+  { index: 1, name: '立春', longitude: 315 },
+  { index: 2, name: '雨水', longitude: 330 },
+  { index: 3, name: '啓蟄', longitude: 345 },
+  { index: 4, name: '春分', longitude: 0 },
+  { index: 5, name: '清明', longitude: 15 },
+  { index: 6, name: '穀雨', longitude: 30 },
+  { index: 7, name: '立夏', longitude: 45 },
+  { index: 8, name: '小満', longitude: 60 },
+  { index: 9, name: '芒種', longitude: 75 },
+  { index: 10, name: '夏至', longitude: 90 },
+  { index: 11, name: '小暑', longitude: 105 },
+  { index: 12, name: '大暑', longitude: 120 },
+  { index: 13, name: '立秋', longitude: 135 },
+  { index: 14, name: '処暑', longitude: 150 },
+  { index: 15, name: '白露', longitude: 165 },
+  { index: 16, name: '秋分', longitude: 180 },
+  { index: 17, name: '寒露', longitude: 195 },
+  { index: 18, name: '霜降', longitude: 210 },
+  { index: 19, name: '立冬', longitude: 225 },
+  { index: 20, name: '小雪', longitude: 240 },
+  { index: 21, name: '大雪', longitude: 255 },
+  { index: 22, name: '冬至', longitude: 270 },
+  { index: 23, name: '小寒', longitude: 285 },
+  { index: 24, name: '大寒', longitude: 300 }
+];
+
+// 太陽黄経の摂動項 [振幅(°), 位相(°), 年周(°/年)]
+const SOLAR_LONGITUDE_TERMS = [
+  [0.0200, 355.05, 719.981],
+  [0.0048, 234.95, 19.341],
+  [0.0020, 247.1, 329.64],
+  [0.0018, 297.8, 4452.67],
+  [0.0018, 251.3, 0.20],
+  [0.0015, 343.2, 450.37],
+  [0.0013, 81.4, 225.18],
+  [0.0008, 132.5, 659.29],
+  [0.0007, 153.3, 90.38],
+  [0.0007, 206.8, 30.35],
+  [0.0006, 29.8, 337.18],
+  [0.0005, 207.4, 1.50],
+  [0.0005, 291.2, 22.81],
+  [0.0004, 234.9, 315.56],
+  [0.0004, 157.3, 299.30],
+  [0.0004, 21.1, 720.02],
+  [0.0003, 352.5, 1079.97],
+  [0.0003, 329.7, 44.43]
+];
+
+// 回帰年（日）
+export const TROPICAL_YEAR = 365.242189;
+
+const DEG = Math.PI / 180;
+
+/* ΔT（地球時 − 世界時）の近似値（秒）
+  * year: 西暦年
+  */
+export function deltaT(year) {
+  const t = year - 2000;
+  return 62.92 + 0.32217 * t + 0.005589 * t * t;
+}
+
+/* 太陽の視黄経（度）
+  * date: Dateオブジェクト
+  * 戻り値: 0〜360 未満の角度
+  */
+export function solarLongitude(date) {
+  const ms = date.getTime();
+  const jd = ms / 86400000 + 2440587.5 + deltaT(date.getUTCFullYear()) / 86400;
+  const T = (jd - 2451545.0) / 365.25; // J2000.0 からのユリウス年
+
+  let lambda = 280.4603 + 360.00769 * T
+    + (1.9146 - 0.00005 * T) * Math.sin((357.538 + 359.991 * T) * DEG);
+  for (const [a, b, c] of SOLAR_LONGITUDE_TERMS) {
+    lambda += a * Math.sin((b + c * T) * DEG);
+  }
+  return ((lambda % 360) + 360) % 360;
+}
+
+/* 太陽黄経が指定角度になる瞬間を求める（ニュートン法）
+  * longitude: 目標の黄経（度）
+  * guess: 推定時刻（ミリ秒）。前後半年以内であればよい
+  * 戻り値: Dateオブジェクト
+  */
+export function findSolarLongitudeTime(longitude, guess) {
+  let t = guess;
+  for (let i = 0; i < 20; i++) {
+    // -180〜180 に畳み込んだ残差
+    const diff = ((longitude - solarLongitude(new Date(t)) + 540) % 360) - 180;
+    t += diff / 360 * TROPICAL_YEAR * 86400000;
+    if (Math.abs(diff) < 1e-6) break;
+  }
+  return new Date(Math.round(t));
+}
+
+/* 節気の開始時刻
+  * term: SEKki_ORDER の要素
+  * year: 西暦年（小寒・大寒はその年の 1 月、他はその年の 2〜12 月）
+  */
+function sekkiStart(term, year) {
+  // 春分（3/20 頃）からの経過日数で初期値を置く
+  let days = term.longitude / 360 * TROPICAL_YEAR;
+  if (term.longitude >= 285) {
+    days -= TROPICAL_YEAR;
+  }
+  return findSolarLongitudeTime(term.longitude, Date.UTC(year, 2, 20) + days * 86400000);
+}
+
+/* 指定年（1/1〜12/31）の二十四節気一覧
+  * year: 西暦年
+  * 戻り値: [{ index, name, longitude, start: Date }]（小寒〜冬至の日付順）
+  */
+export function getSekkiForYear(year) {
+  return SEKki_ORDER
+    .map(t => ({ index: t.index, name: t.name, longitude: t.longitude, start: sekkiStart(t, year) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/* 現在の節気を返す
+  * now: Dateオブジェクト
+  * 戻り値: {
+  *   index, name, longitude,
+  *   start: 節気の開始（Date）、end: 次の節気の開始（Date）
+  *   remaining: 次の節気までの残り時間（ミリ秒）
+  *   prev, next: 前後の節気 { index, name, longitude, start }
+  * }
+  */
+export function getSekki(now) {
+  const lambda = solarLongitude(now);
+
+  // 立春（315°）を起点に 15° ごとの区分
+  const k = Math.floor(((lambda - 315 + 360) % 360) / 15);
+  const cur = SEKki_ORDER[k];
+  const prevTerm = SEKki_ORDER[(k + 23) % 24];
+  const nextTerm = SEKki_ORDER[(k + 1) % 24];
+
+  // 現在の区間内の経過角から開始時刻を推定して解く
+  const elapsed = ((lambda - cur.longitude + 360) % 360) / 360 * TROPICAL_YEAR * 86400000;
+  const start = findSolarLongitudeTime(cur.longitude, now.getTime() - elapsed);
+  const end = findSolarLongitudeTime(nextTerm.longitude, start.getTime() + 15.2 * 86400000);
+  const prevStart = findSolarLongitudeTime(prevTerm.longitude, start.getTime() - 15.2 * 86400000);
+
+  return {
+    index: cur.index,
+    name: cur.name,
+    longitude: cur.longitude,
+    start,
+    end,
+    remaining: end - now,
+    prev: { index: prevTerm.index, name: prevTerm.name, longitude: prevTerm.longitude, start: prevStart },
+    next: { index: nextTerm.index, name: nextTerm.name, longitude: nextTerm.longitude, start: end }
+  };
+}
+
+// 本朝七十二候（略本暦）: 立春の初候から順に 72 候
+const KOU_HONCHO = [
+  { name: '東風解凍', reading: 'はるかぜこおりをとく', description: '春の風が川や湖の氷を解かし始める' },
+  { name: '黄鶯睍睆', reading: 'うぐいすなく', description: '山里で鶯が鳴き始める' },
+  { name: '魚上氷', reading: 'うおこおりをいずる', description: '割れた氷の間から魚が跳ね上がる' },
+  { name: '土脉潤起', reading: 'つちのしょううるおいおこる', description: '雨が降って土が湿り気を帯びる' },
+  { name: '霞始靆', reading: 'かすみはじめてたなびく', description: '霞がたなびき始める' },
+  { name: '草木萌動', reading: 'そうもくめばえいずる', description: '草木が芽吹き始める' },
+  { name: '蟄虫啓戸', reading: 'すごもりむしとをひらく', description: '冬籠りの虫が戸を開いて出てくる' },
+  { name: '桃始笑', reading: 'ももはじめてさく', description: '桃の花が咲き始める' },
+  { name: '菜虫化蝶', reading: 'なむしちょうとなる', description: '青虫が羽化して紋白蝶になる' },
+  { name: '雀始巣', reading: 'すずめはじめてすくう', description: '雀が巣を作り始める' },
+  { name: '櫻始開', reading: 'さくらはじめてひらく', description: '桜の花が咲き始める' },
+  { name: '雷乃発声', reading: 'かみなりすなわちこえをはっす', description: '遠くで雷の音がし始める' },
+  { name: '玄鳥至', reading: 'つばめきたる', description: '燕が南からやって来る' },
+  { name: '鴻雁北', reading: 'こうがんかえる', description: '雁が北へ渡って行く' },
+  { name: '虹始見', reading: 'にじはじめてあらわる', description: '雨の後に虹が出始める' },
+  { name: '葭始生', reading: 'あしはじめてしょうず', description: '葦が芽を吹き始める' },
+  { name: '霜止出苗', reading: 'しもやんでなえいずる', description: '霜が終わり稲の苗が生長する' },
+  { name: '牡丹華', reading: 'ぼたんはなさく', description: '牡丹の花が咲く' },
+  { name: '蛙始鳴', reading: 'かわずはじめてなく', description: '蛙が鳴き始める' },
+  { name: '蚯蚓出', reading: 'みみずいずる', description: '蚯蚓が地上に這い出る' },
+  { name: '竹笋生', reading: 'たけのこしょうず', description: '筍が生えてくる' },
+  { name: '蚕起食桑', reading: 'かいこおきてくわをはむ', description: '蚕が桑を盛んに食べ始める' },
+  { name: '紅花栄', reading: 'べにばなさかう', description: '紅花が盛んに咲く' },
+  { name: '麦秋至', reading: 'むぎのときいたる', description: '麦が熟し麦秋となる' },
+  { name: '蟷螂生', reading: 'かまきりしょうず', description: '蟷螂が生まれ出る' },
+  { name: '腐草為螢', reading: 'くされたるくさほたるとなる', description: '腐った草が蒸れ蛍になる' },
+  { name: '梅子黄', reading: 'うめのみきばむ', description: '梅の実が黄ばんで熟す' },
+  { name: '乃東枯', reading: 'なつかれくさかるる', description: '夏枯草が枯れる' },
+  { name: '菖蒲華', reading: 'あやめはなさく', description: 'あやめの花が咲く' },
+  { name: '半夏生', reading: 'はんげしょうず', description: '烏柄杓が生える' },
+  { name: '温風至', reading: 'あつかぜいたる', description: '暖い風が吹いて来る' },
+  { name: '蓮始開', reading: 'はすはじめてひらく', description: '蓮の花が開き始める' },
+  { name: '鷹乃学習', reading: 'たかすなわちわざをならう', description: '鷹の幼鳥が飛ぶことを覚える' },
+  { name: '桐始結花', reading: 'きりはじめてはなをむすぶ', description: '桐の実が生り始める' },
+  { name: '土潤溽暑', reading: 'つちうるおうてむしあつし', description: '土が湿って蒸暑くなる' },
+  { name: '大雨時行', reading: 'たいうときどきふる', description: '時として大雨が降る' },
+  { name: '涼風至', reading: 'すずかぜいたる', description: '涼しい風が立ち始める' },
+  { name: '寒蝉鳴', reading: 'ひぐらしなく', description: '蜩が鳴き始める' },
+  { name: '蒙霧升降', reading: 'ふかききりまとう', description: '深い霧が立ち込める' },
+  { name: '綿柎開', reading: 'わたのはなしべひらく', description: '綿を包む萼が開く' },
+  { name: '天地始粛', reading: 'てんちはじめてさむし', description: 'ようやく暑さが鎮まる' },
+  { name: '禾乃登', reading: 'こくものすなわちみのる', description: '稲が実る' },
+  { name: '草露白', reading: 'くさのつゆしろし', description: '草に降りた露が白く光る' },
+  { name: '鶺鴒鳴', reading: 'せきれいなく', description: '鶺鴒が鳴き始める' },
+  { name: '玄鳥去', reading: 'つばめさる', description: '燕が南へ帰って行く' },
+  { name: '雷乃収声', reading: 'かみなりすなわちこえをおさむ', description: '雷が鳴り響かなくなる' },
+  { name: '蟄虫坏戸', reading: 'むしかくれてとをふさぐ', description: '虫が土中に掘った穴をふさぐ' },
+  { name: '水始涸', reading: 'みずはじめてかるる', description: '田畑の水を干し始める' },
+  { name: '鴻雁来', reading: 'こうがんきたる', description: '雁が飛来し始める' },
+  { name: '菊花開', reading: 'きくのはなひらく', description: '菊の花が咲く' },
+  { name: '蟋蟀在戸', reading: 'きりぎりすとにあり', description: '蟋蟀が戸の辺りで鳴く' },
+  { name: '霜始降', reading: 'しもはじめてふる', description: '霜が降り始める' },
+  { name: '霎時施', reading: 'こさめときどきふる', description: '小雨がしとしと降る' },
+  { name: '楓蔦黄', reading: 'もみじつたきばむ', description: 'もみじや蔦が黄葉する' },
+  { name: '山茶始開', reading: 'つばきはじめてひらく', description: '山茶花が咲き始める' },
+  { name: '地始凍', reading: 'ちはじめてこおる', description: '大地が凍り始める' },
+  { name: '金盞香', reading: 'きんせんかさく', description: '水仙の花が咲く' },
+  { name: '虹蔵不見', reading: 'にじかくれてみえず', description: '虹を見かけなくなる' },
+  { name: '朔風払葉', reading: 'きたかぜこのはをはらう', description: '北風が木の葉を払い除ける' },
+  { name: '橘始黄', reading: 'たちばなはじめてきばむ', description: '橘の実が黄色くなり始める' },
+  { name: '閉塞成冬', reading: 'そらさむくふゆとなる', description: '天地の気が塞がって冬となる' },
+  { name: '熊蟄穴', reading: 'くまあなにこもる', description: '熊が冬眠のために穴に隠れる' },
+  { name: '鱖魚群', reading: 'さけのうおむらがる', description: '鮭が群がり川を上る' },
+  { name: '乃東生', reading: 'なつかれくさしょうず', description: '夏枯草が芽を出す' },
+  { name: '麋角解', reading: 'さわしかのつのおつる', description: '大鹿が角を落とす' },
+  { name: '雪下出麦', reading: 'ゆきわたりてむぎのびる', description: '雪の下で麦が芽を出す' },
+  { name: '芹乃栄', reading: 'せりすなわちさかう', description: '芹がよく生育する' },
+  { name: '水泉動', reading: 'しみずあたたかをふくむ', description: '地中で凍った泉が動き始める' },
+  { name: '雉始雊', reading: 'きじはじめてなく', description: '雄の雉が鳴き始める' },
+  { name: '款冬華', reading: 'ふきのはなさく', description: '蕗の薹が蕾を出す' },
+  { name: '水沢腹堅', reading: 'さわみずこおりつめる', description: '沢に氷が厚く張りつめる' },
+  { name: '鶏始乳', reading: 'にわとりはじめてとやにつく', description: '鶏が卵を産み始める' }
+];
+
+// 宣明暦の七十二候（中国の七十二候）: 立春の初候から順に 72 候
+const KOU_SENMYO = [
+  { name: '東風解凍', reading: 'とうふうこおりをとく', description: '東風が氷を解かし始める' },
+  { name: '蟄虫始振', reading: 'ちっちゅうはじめてうごく', description: '冬籠りの虫が動き始める' },
+  { name: '魚上氷', reading: 'うおこおりにのぼる', description: '魚が氷の下から浮かび上がる' },
+  { name: '獺祭魚', reading: 'かわうそうおをまつる', description: '獺が捕った魚を岸に並べる' },
+  { name: '鴻雁来', reading: 'こうがんきたる', description: '雁が飛来する' },
+  { name: '草木萌動', reading: 'そうもくほうどうす', description: '草木が芽吹き始める' },
+  { name: '桃始華', reading: 'ももはじめてはなさく', description: '桃の花が咲き始める' },
+  { name: '倉庚鳴', reading: 'そうこうなく', description: '高麗鶯が鳴く' },
+  { name: '鷹化為鳩', reading: 'たかけしてはととなる', description: '鷹が鳩に姿を変える' },
+  { name: '玄鳥至', reading: 'げんちょういたる', description: '燕が南からやって来る' },
+  { name: '雷乃発声', reading: 'らいすなわちこえをはっす', description: '雷が鳴り始める' },
+  { name: '始電', reading: 'はじめていなびかりす', description: '稲光が見え始める' },
+  { name: '桐始華', reading: 'きりはじめてはなさく', description: '桐の花が咲き始める' },
+  { name: '田鼠化為鴽', reading: 'でんそけしてうずらとなる', description: '田鼠が鶉に姿を変える' },
+  { name: '虹始見', reading: 'にじはじめてあらわる', description: '虹が見え始める' },
+  { name: '萍始生', reading: 'うきくさはじめてしょうず', description: '浮草が生え始める' },
+  { name: '鳴鳩払其羽', reading: 'めいきゅうそのはねをはらう', description: '鳩が羽を払う' },
+  { name: '戴勝降于桑', reading: 'たいしょうくわにくだる', description: '戴勝が桑の木に降りる' },
+  { name: '螻蟈鳴', reading: 'ろうこくなく', description: '螻蛄が鳴く' },
+  { name: '蚯蚓出', reading: 'きゅういんいずる', description: '蚯蚓が地上に這い出る' },
+  { name: '王瓜生', reading: 'おうかしょうず', description: '烏瓜が生える' },
+  { name: '苦菜秀', reading: 'くさいひいず', description: '苦菜がよく茂る' },
+  { name: '靡草死', reading: 'びそうかる', description: '薺など細い草が枯れる' },
+  { name: '小暑至', reading: 'しょうしょいたる', description: 'ようやく暑さが加わり始める' },
+  { name: '螳螂生', reading: 'とうろうしょうず', description: '蟷螂が生まれ出る' },
+  { name: '鵙始鳴', reading: 'もずはじめてなく', description: '鵙が鳴き始める' },
+  { name: '反舌無声', reading: 'はんぜつこえなし', description: '反舌鳥が鳴かなくなる' },
+  { name: '鹿角解', reading: 'しかのつのおつる', description: '鹿が角を落とす' },
+  { name: '蜩始鳴', reading: 'せみはじめてなく', description: '蝉が鳴き始める' },
+  { name: '半夏生', reading: 'はんげしょうず', description: '烏柄杓が生える' },
+  { name: '温風至', reading: 'おんぷういたる', description: '暖い風が吹いて来る' },
+  { name: '蟋蟀居壁', reading: 'しっしゅつかべにおる', description: '蟋蟀が壁で鳴く' },
+  { name: '鷹乃学習', reading: 'たかすなわちがくしゅうす', description: '鷹の幼鳥が飛ぶことを覚える' },
+  { name: '腐草為螢', reading: 'ふそうほたるとなる', description: '腐った草が蛍になる' },
+  { name: '土潤溽暑', reading: 'つちうるおいてじょくしょす', description: '土が湿って蒸暑くなる' },
+  { name: '大雨時行', reading: 'たいうときにおこなう', description: '時として大雨が降る' },
+  { name: '涼風至', reading: 'りょうふういたる', description: '涼しい風が立ち始める' },
+  { name: '白露降', reading: 'はくろくだる', description: '大気が冷えて露が降りる' },
+  { name: '寒蝉鳴', reading: 'かんせんなく', description: '蜩が鳴き始める' },
+  { name: '鷹乃祭鳥', reading: 'たかすなわちとりをまつる', description: '鷹が捕った鳥を並べる' },
+  { name: '天地始粛', reading: 'てんちはじめてしゅくす', description: 'ようやく暑さが鎮まる' },
+  { name: '禾乃登', reading: 'かすなわちみのる', description: '穀物が実る' },
+  { name: '鴻雁来', reading: 'こうがんきたる', description: '雁が飛来する' },
+  { name: '玄鳥帰', reading: 'げんちょうかえる', description: '燕が南へ帰って行く' },
+  { name: '群鳥養羞', reading: 'ぐんちょうしゅうをやしなう', description: '多くの鳥が冬支度に食物を蓄える' },
+  { name: '雷乃収声', reading: 'らいすなわちこえをおさむ', description: '雷が鳴り響かなくなる' },
+  { name: '蟄虫坏戸', reading: 'ちっちゅうとをはいす', description: '虫が土中に掘った穴をふさぐ' },
+  { name: '水始涸', reading: 'みずはじめてかる', description: '水が涸れ始める' },
+  { name: '鴻雁来賓', reading: 'こうがんらいひんす', description: '雁が多く飛来して客となる' },
+  { name: '雀入大水為蛤', reading: 'すずめたいすいにいりはまぐりとなる', description: '雀が海に入って蛤になる' },
+  { name: '菊有黄華', reading: 'きくにこうかあり', description: '菊の花が黄色く咲く' },
+  { name: '豺乃祭獣', reading: 'さいすなわちけものをまつる', description: '山犬が捕った獣を並べる' },
+  { name: '草木黄落', reading: 'そうもくこうらくす', description: '草木の葉が黄ばんで落ちる' },
+  { name: '蟄虫咸俯', reading: 'ちっちゅうみなふす', description: '虫がみな穴に籠る' },
+  { name: '水始氷', reading: 'みずはじめてこおる', description: '水が凍り始める' },
+  { name: '地始凍', reading: 'ちはじめてこおる', description: '大地が凍り始める' },
+  { name: '雉入大水為蜃', reading: 'きじたいすいにいりおおはまぐりとなる', description: '雉が海に入って大蛤になる' },
+  { name: '虹蔵不見', reading: 'にじかくれてみえず', description: '虹を見かけなくなる' },
+  { name: '天気上騰地気下降', reading: 'てんきじょうとうしちきかこうす', description: '天の気が昇り地の気が降る' },
+  { name: '閉塞而成冬', reading: 'へいそくしてふゆとなる', description: '天地の気が塞がって冬となる' },
+  { name: '鶡鳥不鳴', reading: 'かっちょうなかず', description: '山鳥が鳴かなくなる' },
+  { name: '虎始交', reading: 'とらはじめてつるむ', description: '虎が交尾を始める' },
+  { name: '茘挺出', reading: 'れいていいずる', description: '大韮が芽を出す' },
+  { name: '蚯蚓結', reading: 'きゅういんむすぶ', description: '蚯蚓が地中で固まる' },
+  { name: '麋角解', reading: 'びかくげす', description: '大鹿が角を落とす' },
+  { name: '水泉動', reading: 'すいせんうごく', description: '地中で凍った泉が動き始める' },
+  { name: '雁北郷', reading: 'かりきたにむかう', description: '雁が北へ渡り始める' },
+  { name: '鵲始巣', reading: 'かささぎはじめてすくう', description: '鵲が巣を作り始める' },
+  { name: '雉始雊', reading: 'きじはじめてなく', description: '雄の雉が鳴き始める' },
+  { name: '鶏始乳', reading: 'にわとりはじめてにゅうす', description: '鶏が卵を産み始める' },
+  { name: '鷙鳥厲疾', reading: 'しちょうれいしつす', description: '鷲や鷹が空高く速く飛ぶ' },
+  { name: '水沢腹堅', reading: 'すいたくあつくかたし', description: '沢に氷が厚く張りつめる' }
+];
+
+// 候の並びの名前
+const KOU_PHASES = ['初候', '次候', '末候'];
+
+/* 七十二候の一覧を選ぶ
+  * mode: "本朝"（既定）または "宣明暦"
+  */
+function getKouList(mode) {
+  return mode === '宣明暦' ? KOU_SENMYO : KOU_HONCHO;
+}
+
+/* 現在の候を返す（節気と同じ太陽黄経の区切りを 5° ずつに細分）
+  * now: Dateオブジェクト
+  * mode: "本朝"（既定）または "宣明暦"
+  * 戻り値: {
+  *   index（1〜72、立春初候=1）, name, reading, description,
+  *   sekki: 属する節気名、phase: "初候" / "次候" / "末候"
+  *   longitude, start: 候の開始（Date）、end: 次の候の開始（Date）
+  * }
+  */
+export function getKou(now, mode = '本朝') {
+  const lambda = solarLongitude(now);
+
+  // 立春（315°）を起点に 5° ごとの区分
+  const k = Math.floor(((lambda - 315 + 360) % 360) / 5);
+  const longitude = (315 + k * 5) % 360;
+  const kou = getKouList(mode)[k];
+
+  const elapsed = ((lambda - longitude + 360) % 360) / 360 * TROPICAL_YEAR * 86400000;
+  const start = findSolarLongitudeTime(longitude, now.getTime() - elapsed);
+  const end = findSolarLongitudeTime((longitude + 5) % 360, start.getTime() + 5 * 86400000);
+
+  return {
+    index: k + 1,
+    name: kou.name,
+    reading: kou.reading,
+    description: kou.description,
+    sekki: SEKki_ORDER[Math.floor(k / 3)].name,
+    phase: KOU_PHASES[k % 3],
+    longitude,
+    start,
+    end
+  };
+}
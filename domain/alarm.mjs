@@ -0,0 +1,120 @@
+/**
+ * 不定時法のアラーム計算モジュール
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   「暁七つ 毎日」「暮六つ 秋分の日」のように不定時法で決めたアラームの、次に鳴る時刻を求める。
+ *   時刻は fromWadoTime()（盤面と同じ ake/kure から組んだ刻の表）で求めるため、季節とともに動く。
+ *
+ * アラームの形:
+ *   {
+ *     time: "暁七つ"（parseWadoTime() が解釈できる表記）
+ *     repeat: { type: "daily" }                          毎日
+ *           | { type: "sekki", sekki: ["秋分", "春分"] }   その節気に入る日
+ *           | { type: "weekdays", weekdays: [1, 3, 5] }   曜日（0=日 … 6=土）
+ *   }
+ *   曜日・節気の日付は観測地のタイムゾーンの暦日で判定する。
+ *
+ * 依存:
+ *   - utils/taiyou.mjs（fromWadoTime）
+ *   - domain/futeiji.mjs（parseWadoTime）
+ *   - domain/24terms.mjs（getSekkiForYear）
+ *
+ * @module alarm
+ */
+
+import { getZonedParts, zonedTimeToUtc } from "../utils/datetime.mjs";
+import { fromWadoTime } from "../utils/taiyou.mjs";
+import { parseWadoTime } from "./futeiji.mjs";
+import { getSekkiForYear } from "./24terms.mjs";
+import { resolveTimeZone } from "./places.mjs";
+
+// 繰り返しの種類
+export const ALARM_REPEATS = ["daily", "sekki", "weekdays"];
+
+// 曜日の表記（0=日）
+const WEEKDAY_NAMES = ["日", "月", "火", "水", "木", "金", "土"];
+
+/* アラームの検証・正規化
+  * alarm: { time, repeat, label, enabled } など（足りない項目は既定値）
+  * 戻り値: 正規化したアラーム（time が解釈できない・節気や曜日が空なら例外）
+  */
+export function normalizeAlarm(alarm) {
+  const time = String(alarm.time || "").trim();
+  parseWadoTime(time);
+
+  const src = alarm.repeat || {};
+  const type = ALARM_REPEATS.includes(src.type) ? src.type : "daily";
+  const repeat = { type };
+  if (type === "sekki") {
+    const names = new Set(getSekkiForYear(2000).map(s => s.name));
+    repeat.sekki = [...new Set(src.sekki || [])].filter(name => names.has(name));
+    if (repeat.sekki.length === 0) throw new Error("節気を選んでください");
+  } else if (type === "weekdays") {
+    repeat.weekdays = [...new Set(src.weekdays || [])].map(Number)
+      .filter(w => Number.isInteger(w) && w >= 0 && w <= 6)
+      .sort((a, b) => a - b);
+    if (repeat.weekdays.length === 0) throw new Error("曜日を選んでください");
+  }
+
+  return {
+    ...alarm,
+    time,
+    repeat,
+    label: String(alarm.label || ""),
+    enabled: alarm.enabled !== false
+  };
+}
+
+/* 次に鳴る時刻
+  * alarm: normalizeAlarm() の戻り値
+  * after: Date（この時刻より後の最初の 1 回）
+  * loc: { lat, lon, timeZone, boundary, dayBoundary }
+  * 戻り値: Date（見つからなければ null）
+  */
+export function nextAlarmTime(alarm, after, loc) {
+  const t0 = after.getTime();
+  const timeZone = resolveTimeZone(loc.timeZone, loc.lat, loc.lon);
+  const at = (year, month, day) =>
+    fromWadoTime(new Date(zonedTimeToUtc(year, month, day, 12, 0, 0, timeZone)), alarm.time, loc).getTime();
+  const { year, month, day } = getZonedParts(after, timeZone);
+  const repeat = alarm.repeat || { type: "daily" };
+
+  // 節気: 今年・来年の節気に入る日
+  if (repeat.type === "sekki") {
+    for (const y of [year, year + 1]) {
+      const days = getSekkiForYear(y)
+        .filter(s => repeat.sekki.includes(s.name))
+        .map(s => getZonedParts(s.start, timeZone));
+      for (const p of days) {
+        const t = at(p.year, p.month, p.day);
+        if (t > t0) return new Date(t);
+      }
+    }
+    return null;
+  }
+
+  // 毎日・曜日: 前日から 1 週間と 1 日（明け六つ区切りでは前日の夜の刻が今日にかかる）
+  const weekdays = repeat.type === "weekdays" ? repeat.weekdays : [0, 1, 2, 3, 4, 5, 6];
+  for (let i = -1; i <= 8; i++) {
+    const noon = new Date(zonedTimeToUtc(year, month, day + i, 12, 0, 0, timeZone));
+    if (!weekdays.includes(getZonedParts(noon, timeZone).weekday)) continue;
+    const t = at(year, month, day + i);
+    if (t > t0) return new Date(t);
+  }
+  return null;
+}
+
+/* 繰り返しの表示（例: "毎日" "秋分・冬至の日" "毎週 月・水・金"）
+  */
+export function describeAlarmRepeat(repeat) {
+  if (repeat.type === "sekki") {
+    return `${repeat.sekki.join("・")}の日`;
+  }
+  if (repeat.type === "weekdays") {
+    return `毎週 ${repeat.weekdays.map(w => WEEKDAY_NAMES[w]).join("・")}`;
+  }
+  return "毎日";
+}
@@ -0,0 +1,364 @@
+/**
+ * 不定時法（十二刻）計算モジュール
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   明け六つ（ake）・暮れ六つ（kure）から十二刻の時刻表を組み立て、
+ *   現代の時刻を不定時法の刻に変換する。
+ *   盤面の干支・刻線の角度もこの時刻表から求めるため、
+ *   盤面の表示と変換結果は常に一致する。
+ *
+ * 刻の考え方:
+ *   - 卯の正刻 = 明け六つ（ake）、酉の正刻 = 暮れ六つ（kure）
+ *   - 昼（卯〜申）は ake〜kure を、夜（酉〜寅）は残りを 6 等分した位置が各刻の正刻
+ *   - 明け六つ区切り（kurePrev/akeNext あり）では、夜は前夜・当夜の実際の長さを 6 等分する
+ *   - 刻の境界（刻線）は隣り合う正刻の中点
+ *
+ * 機能:
+ *   - computeKokuTable(): 十二刻の時刻表（開始・正刻・終了）
+ *   - computeDialAngles(): 盤面上の干支・刻線（半刻・四半刻を含む）の角度と針の正午補正
+ *   - computePillarScale() / pillarPosition(): 尺時計（縦の目盛り板）の刻の位置と指針の位置
+ *   - kokuName(): 刻の呼び名（"明け六つ" "朝五つ" "昼八つ" など）
+ *   - findKoku() / toWadoTime(): Date → 不定時法の刻（Canvas・DOM 不要）
+ *   - kokuQuarters(): 刻の四半刻の区切り（読みと逆変換で共通）
+ *   - wadoReading(): 刻の中の位置 → "昼八つ半" "暮れ六つ四半刻過ぎ" などの読み（四半刻単位）
+ *   - parseWadoTime(): "暮六つ" "昼八つ半" などの表記 → 刻の指定
+ *
+ * 依存:
+ *   - utils/taiyou.mjs（ComputeSunData）
+ *
+ * @module futeiji
+ */
+
+import { ComputeSunData } from "../utils/taiyou.mjs";
+
+// 1日のミリ秒
+export const DAY_MS = 24 * 3600 * 1000;
+
+// 卯から始まる十二支（昼 6 刻 → 夜 6 刻）
+export const KOKU_ZODIAC = [
+  "卯", "辰", "巳", "午", "未", "申",
+  "酉", "戌", "亥", "子", "丑", "寅"
+];
+
+// 各刻の数（卯=明け六つ … 寅=暁七つ）
+export const KOKU_NUMBERS = [
+  "六", "五", "四", "九", "八", "七",
+  "六", "五", "四", "九", "八", "七"
+];
+
+// 各刻の呼び名の接頭辞（卯=明け六つ、辰=朝五つ … 寅=暁七つ）
+const KOKU_PREFIXES = [
+  "明け", "朝", "昼", "昼", "昼", "夕",
+  "暮れ", "宵", "夜", "夜", "暁", "暁"
+];
+
+// 漢数字 → 鐘の数
+const KOKU_COUNT = { "九": 9, "八": 8, "七": 7, "六": 6, "五": 5, "四": 4 };
+
+/* 十二刻の時刻表
+  * sun: ComputeSunData() の戻り値（ake, kure を使用）
+  *   kurePrev（前夜の暮れ六つ）・akeNext（翌朝の明け六つ）があれば、
+  *   前夜・当夜の刻はそれぞれの夜の長さで 6 等分する
+  * 戻り値: 前夜の子の刻〜翌朝の寅の刻までの 15 刻の配列
+  *   { zodiac, number, count, period, index, center, start, end }
+  *   index は KOKU_ZODIAC 上の位置、時刻はすべてミリ秒
+  */
+export function computeKokuTable(sun) {
+  const { ake, kure, kurePrev, akeNext } = sun;
+
+  // 昼・夜それぞれの一刻の長さ（前夜・当夜の指定が無ければ昼の残りを 6 等分）
+  const dayStep = (kure - ake) / 6;
+  const nightStep = (DAY_MS - (kure - ake)) / 6;
+  const prevNightStep = Number.isFinite(kurePrev) ? (ake - kurePrev) / 6 : nightStep;
+  const nextNightStep = Number.isFinite(akeNext) ? (akeNext - kure) / 6 : nightStep;
+
+  // 正刻の並び（前夜の子・丑・寅 → 卯〜申 → 酉〜寅）
+  const centers = [];
+  for (let i = 3; i >= 1; i--) {
+    centers.push({ index: 12 - i, center: ake - i * prevNightStep });
+  }
+  for (let i = 0; i < 6; i++) {
+    centers.push({ index: i, center: ake + i * dayStep });
+  }
+  for (let i = 0; i < 6; i++) {
+    centers.push({ index: 6 + i, center: kure + i * nextNightStep });
+  }
+
+  // 境界は隣り合う正刻の中点（両端は夜の半刻）、ミリ秒単位に丸める
+  for (const c of centers) {
+    c.center = Math.round(c.center);
+  }
+  return centers.map((c, i) => {
+    const prev = centers[i - 1];
+    const next = centers[i + 1];
+    return {
+      zodiac: KOKU_ZODIAC[c.index],
+      number: KOKU_NUMBERS[c.index],
+      count: KOKU_COUNT[KOKU_NUMBERS[c.index]],
+      period: c.index < 6 ? "昼" : "夜",
+      index: c.index,
+      center: c.center,
+      start: Math.round(prev ? (prev.center + c.center) / 2 : c.center - prevNightStep / 2),
+      end: Math.round(next ? (c.center + next.center) / 2 : c.center + nextNightStep / 2)
+    };
+  });
+}
+
+/* 刻の呼び名（例: "明け六つ" "朝五つ" "昼八つ" "暁七つ"。parseWadoTime() で解釈できる）
+  * k: computeKokuTable() / toWadoTime() の要素（zodiac, number）
+  */
+export function kokuName(k) {
+  return `${KOKU_PREFIXES[KOKU_ZODIAC.indexOf(k.zodiac)]}${k.number}つ`;
+}
+
+/* 盤面上の角度計算（Canvas 非依存）
+  * sun: ComputeSunData() の戻り値
+  * dialMode: "午上" / "子上" / "回転盤"（回転盤は午上と同じ配置。盤面を回すのは描画側）
+  * 戻り値: { angleZodiac, angleTick, angleHalfTick, angleQuarterTick, shift }
+  *   angleZodiac: 干支 → 正刻の角度（真上=0、時計回り）
+  *   angleTick: 卯の開始から翌卯の開始までの刻線角度（13 要素）
+  *   angleHalfTick: 半刻の線（卯〜寅の正刻）の角度（12 要素）
+  *   angleQuarterTick: 四半刻の線（各刻の開始〜正刻・正刻〜終了の中点）の角度（24 要素）
+  *   shift: 針（観測地の常用時の角度）に加える正午補正角
+  */
+export function computeDialAngles(sun, dialMode) {
+  const { ake, kure } = sun;
+  const table = computeKokuTable(sun);
+
+  // 補正後の正午（卯・酉の正刻の中点）を真上に置く
+  const trueNoonCorrected = ake + (kure - ake) / 2;
+  const shiftMode = dialMode === "子上" ? Math.PI : 0;
+
+  function toAngle(t) {
+    const a = (t - trueNoonCorrected) * (2 * Math.PI / DAY_MS) + shiftMode;
+    return ((a % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  }
+
+  // 卯〜寅（前夜分の 3 刻を除いた 12 刻）
+  const koku = table.slice(3);
+
+  const angle = {};
+  for (const k of koku) {
+    angle[k.zodiac] = toAngle(k.center);
+  }
+
+  const angleTick = koku.map(k => toAngle(k.start));
+  angleTick.push(angleTick[0]);
+
+  // 半刻・四半刻（卯・酉は正刻の前後で長さが違うので、正刻の前後をそれぞれ 2 等分する。wadoReading() と同じ位置）
+  const angleHalfTick = koku.map(k => toAngle(k.center));
+  const angleQuarterTick = koku.flatMap(k => {
+    const [, beforeCenter, , afterCenter] = kokuQuarters(k);
+    return [toAngle(beforeCenter), toAngle(afterCenter)];
+  });
+
+  // 観測地の今日の 12:00 とのズレを針側で打ち消す
+  const delta = trueNoonCorrected - sun.noon;
+  const shift = -delta * (2 * Math.PI / DAY_MS);
+
+  return { angleZodiac: angle, angleTick, angleHalfTick, angleQuarterTick, shift };
+}
+
+/* 尺時計の目盛り（Canvas 非依存）
+  * sun: ComputeSunData() の戻り値
+  * 戻り値: { top, koku }
+  *   top: 目盛り板の上端の時刻（卯の刻の始まり、ミリ秒）。下端はその 24 時間後
+  *   koku: 卯〜寅の 12 刻 [{ zodiac, number, name, start, center, end }]
+  *     start / center / end は上端からの位置（0〜1）
+  *   computeDialAngles() の angleTick と同じ刻の表を、角度の代わりに縦の位置にしたもの
+  */
+export function computePillarScale(sun) {
+  const koku = computeKokuTable(sun).slice(3);
+  const top = koku[0].start;
+  const pos = t => (t - top) / DAY_MS;
+
+  return {
+    top,
+    koku: koku.map(k => ({
+      zodiac: k.zodiac,
+      number: k.number,
+      name: kokuName(k),
+      start: pos(k.start),
+      center: pos(k.center),
+      end: pos(k.end)
+    }))
+  };
+}
+
+/* 尺時計の指針の位置（目盛り板の上端からの位置 0〜1）
+  * t: 時刻（ミリ秒）
+  * scale: computePillarScale() の戻り値
+  * 備考: 錘は 1 日で上端から下端まで一定の速さで下がる。上端より前の時刻は前日分として下端側に置く
+  */
+export function pillarPosition(t, scale) {
+  const p = (t - scale.top) / DAY_MS;
+  return p - Math.floor(p);
+}
+
+/* 時刻を含む刻（toWadoTime() と fromWadoTime() が共通に使う）
+  * t: 時刻（ミリ秒）
+  * loc: { lat, lon, timeZone }（省略時は Wadokei.config）
+  * 戻り値: { koku, table }（koku は computeKokuTable() の要素、table はその刻を取った表）
+  */
+export function findKoku(t, loc) {
+  const sun = ComputeSunData(new Date(t), loc);
+  let table = computeKokuTable(sun);
+
+  let koku = table.find(k => k.start <= t && t < k.end);
+  if (!koku) {
+    // 明け六つ区切りでは卯の刻の前半（明け六つの直前）が隣の日の表に入る
+    const neighbor = t >= table[table.length - 1].end ? sun.dayEnd : sun.dayStart - 1;
+    table = computeKokuTable(ComputeSunData(new Date(neighbor), loc));
+    koku = table.find(k => k.start <= t && t < k.end);
+  }
+  if (!koku) {
+    // 時刻表の範囲外（通常は起こらない）は最寄りの刻に寄せる
+    koku = t < table[0].start ? table[0] : table[table.length - 1];
+  }
+  return { koku, table };
+}
+
+/* 現代時刻 → 不定時法
+  * date: Dateオブジェクト（変換対象日時）
+  * loc: { lat, lon, timeZone }（省略時は Wadokei.config）
+  * 戻り値: {
+  *   zodiac: 干支（例: "未"）
+  *   number: 数（"六"〜"九"）、count: 鐘の数（4〜9）
+  *   period: "昼" または "夜"
+  *   fraction: 現在の刻の経過割合（0〜1）
+  *   time: 変換した時刻（ミリ秒）
+  *   start, end: 現在の刻の開始・終了時刻（ミリ秒）
+  *   center: 現在の刻の正刻（ミリ秒。卯・酉では前後の長さが違うので刻の中央とは限らない）
+  *   nextCenter: 次の刻の正刻（ミリ秒）
+  * }
+  */
+export function toWadoTime(date, loc) {
+  const t = date.getTime();
+  const { koku, table } = findKoku(t, loc);
+  // 表の最後の刻（寅）の次は、境界から同じ夜の半刻先の正刻
+  const next = table[table.indexOf(koku) + 1];
+
+  return {
+    zodiac: koku.zodiac,
+    number: koku.number,
+    count: koku.count,
+    period: koku.period,
+    fraction: Math.min(1, Math.max(0, (t - koku.start) / (koku.end - koku.start))),
+    time: t,
+    start: koku.start,
+    end: koku.end,
+    center: koku.center,
+    nextCenter: next ? next.center : koku.end + (koku.end - koku.center)
+  };
+}
+
+/* 刻の四半刻の区切り（ミリ秒）
+  * k: computeKokuTable() / toWadoTime() の要素（start, center, end）
+  * 戻り値: [開始, 開始〜正刻の中点, 正刻, 正刻〜終了の中点, 終了]
+  *   卯・酉は正刻の前後で昼と夜の長さが違うため、刻全体の 4 等分にはならない
+  *   wadoReading() と fromWadoTime() はどちらもこの区切りを使う（読みと逆変換が一致する）
+  */
+export function kokuQuarters(k) {
+  return [
+    k.start,
+    Math.round((k.start + k.center) / 2),
+    k.center,
+    Math.round((k.center + k.end) / 2),
+    k.end
+  ];
+}
+
+// 直前の正刻からの四半刻の数 → 読みの接尾辞（parseWadoTime() の WADO_OFFSET と対応）
+const WADO_QUARTER_SUFFIX = ["", "四半刻過ぎ", "半", "半四半刻過ぎ"];
+
+/* 刻の中の位置 → 伝統的な読み（四半刻単位）
+  * wado: toWadoTime() の戻り値（zodiac, time, start, center, end）
+  * 戻り値: { text, base, quarter }
+  *   text: "昼八つ半" "暮れ六つ四半刻過ぎ" など（直前の正刻の名 + 経過）
+  *   base: 直前の正刻の干支、quarter: 直前の正刻から何四半刻目か（0〜3）
+  *   刻の前半はまだ正刻の前なので、一つ前の刻の「半」「半四半刻過ぎ」になる
+  *   区切りは kokuQuarters() のミリ秒で比べる（割合で比べると丸めで区切りの瞬間がずれる）
+  */
+export function wadoReading(wado) {
+  const i = KOKU_ZODIAC.indexOf(wado.zodiac);
+  const [, beforeCenter, center, afterCenter] = kokuQuarters(wado);
+  const t = wado.time;
+  const quarter = t < beforeCenter ? 2 : t < center ? 3 : t < afterCenter ? 0 : 1;
+  const baseIndex = quarter < 2 ? i : (i + 11) % 12;
+  const base = { zodiac: KOKU_ZODIAC[baseIndex], number: KOKU_NUMBERS[baseIndex] };
+  return { text: kokuName(base) + WADO_QUARTER_SUFFIX[quarter], base: base.zodiac, quarter };
+}
+
+// 時刻名の接頭辞 → 対応する干支
+const WADO_PREFIX = {
+  "明け": ["卯"],
+  "明ケ": ["卯"],
+  "明": ["卯"],
+  "朝": ["卯", "辰", "巳"],
+  "昼": ["巳", "午", "未", "申"],
+  "夕": ["申", "酉"],
+  "暮れ": ["申", "酉"],
+  "暮": ["申", "酉"],
+  "宵": ["戌", "亥"],
+  "夜": ["戌", "亥", "子", "丑", "寅"],
+  "暁": ["丑", "寅"]
+};
+
+// 算用数字の表記ゆれ
+const WADO_DIGITS = { "9": "九", "8": "八", "7": "七", "6": "六", "5": "五", "4": "四" };
+
+// 刻の途中を表す語 → 刻単位のオフセット
+const WADO_OFFSET = { "半四半": 0.75, "半": 0.5, "四半": 0.25 };
+
+/* 刻の指定を正規化
+  * spec: { zodiac } または { number, period }、任意で offset（刻単位）
+  *   number: "六"〜"九" または 4〜9、period: "昼" / "夜"
+  * 戻り値: { zodiac, offset }
+  */
+export function resolveWadoSpec(spec) {
+  const offset = spec.offset || 0;
+  if (spec.zodiac) {
+    if (!KOKU_ZODIAC.includes(spec.zodiac)) {
+      throw new Error(`不明な干支です: ${spec.zodiac}`);
+    }
+    return { zodiac: spec.zodiac, offset };
+  }
+
+  const number = WADO_DIGITS[spec.number] || spec.number;
+  const i = KOKU_ZODIAC.findIndex((z, i) =>
+    KOKU_NUMBERS[i] === number && (i < 6 ? "昼" : "夜") === spec.period);
+  if (i < 0) {
+    throw new Error(`刻を特定できません: ${spec.period || ""}${spec.number}`);
+  }
+  return { zodiac: KOKU_ZODIAC[i], offset };
+}
+
+/* 不定時法の表記を解釈
+  * text: "暁七つ" "昼八つ半" "暮六つ四半刻過ぎ" "酉の刻" "子の初刻" など
+  * 戻り値: { zodiac, offset }（offset は正刻からの刻単位のずれ）
+  */
+export function parseWadoTime(text) {
+  const src = String(text).trim();
+
+  // 干支表記（例: 酉の刻 / 子の初刻 / 午の刻半）
+  let m = src.match(/^([子丑寅卯辰巳午未申酉戌亥])(?:の)?(初刻|正刻|刻)?(半四半|半|四半)?(?:刻)?(?:過ぎ)?$/);
+  if (m) {
+    const offset = (m[2] === "初刻" ? -0.5 : 0) + (WADO_OFFSET[m[3]] || 0);
+    return { zodiac: m[1], offset };
+  }
+
+  // 数の表記（例: 暮六つ / 昼八つ半 / 夜九ツ）
+  m = src.match(/^(明け|明ケ|明|朝|昼|夕|暮れ|暮|宵|夜|暁)([九八七六五四987654])[つツ]?(半四半|半|四半)?(?:刻)?(?:過ぎ)?$/);
+  if (m) {
+    const number = WADO_DIGITS[m[2]] || m[2];
+    const zodiac = WADO_PREFIX[m[1]].find(z => KOKU_NUMBERS[KOKU_ZODIAC.indexOf(z)] === number);
+    if (zodiac) {
+      return { zodiac, offset: WADO_OFFSET[m[3]] || 0 };
+    }
+  }
+
+  throw new Error(`不定時法の表記を解釈できません: ${src}`);
+}
@@ -0,0 +1,157 @@
+/**
+ * 季節の暦の iCalendar（.ics）書き出し
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   指定年・観測地について、二十四節気・雑節（と、選べば毎日の明け六つ・暮れ六つ）を
+ *   iCalendar（RFC 5545）の予定にしてカレンダーアプリに取り込めるようにする。
+ *
+ * 予定の形:
+ *   - 節気・雑節: 観測地の暦日の終日予定（彼岸・土用は期間）。節気の入りの時刻は説明に書く
+ *   - 明け六つ・暮れ六つ: その瞬間の予定（UTC で書くのでアプリ側の表示タイムゾーンに従う）
+ *   UID は種類・日付と、暦日を決めるタイムゾーン（明け六つ・暮れ六つは観測地）から決めるため、
+ *   作り直して取り込み直しても同じ予定として扱われ、別のタイムゾーンの暦とは重ならない。
+ *
+ * 依存:
+ *   - domain/24terms.mjs（getSekkiForYear）
+ *   - domain/zassetsu.mjs（getZassetsuForYear）
+ *   - utils/taiyou.mjs（ComputeSunData）
+ *
+ * @module ics
+ */
+
+import { zonedTimeToUtc, formatDateKey, formatDateTime } from "../utils/datetime.mjs";
+import { ComputeSunData } from "../utils/taiyou.mjs";
+import { getSekkiForYear } from "./24terms.mjs";
+import { getZassetsuForYear } from "./zassetsu.mjs";
+import { resolveTimeZone } from "./places.mjs";
+
+// UID のドメイン部
+const ICS_UID_DOMAIN = "wadokei";
+
+const encoder = new TextEncoder();
+
+/* テキスト値のエスケープ（\ ; , 改行）
+  */
+function escapeText(value) {
+  return String(value).replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, "\\n");
+}
+
+/* 75 オクテットごとの折り返し（続きの行は空白で始める）
+  */
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (octets + size > 75) {
+      out.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  out.push(current);
+  return out.join("\r\n");
+}
+
+/* "YYYY-MM-DD" → "YYYYMMDD"（終日予定の DATE 値）
+  */
+function icsDate(key) {
+  return key.replace(/-/g, "");
+}
+
+/* Date → "YYYYMMDDTHHMMSSZ"（UTC の DATE-TIME 値）
+  */
+function icsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/* "YYYY-MM-DD" の翌日（終日予定の DTEND は最終日の翌日）
+  */
+function nextDateKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/* 指定年の季節の予定一覧
+  * year: 西暦年
+  * loc: { lat, lon, timeZone, boundary, dayBoundary }
+  * opt: { akeKure: 毎日の明け六つ・暮れ六つも入れるか }
+  * 戻り値: [{ uid, summary, description, start, end }]
+  *   終日予定は start, end が "YYYY-MM-DD"（end は最終日）、瞬間の予定は start が Date で end は無し
+  */
+export function getSeasonalEvents(year, loc, opt = {}) {
+  const timeZone = resolveTimeZone(loc.timeZone, loc.lat, loc.lon);
+  const events = [];
+  // 節気・雑節の暦日はタイムゾーンで変わるので UID に入れる（"/" などは UID に使わない）
+  const zone = timeZone.replace(/[^A-Za-z0-9+-]/g, "_");
+
+  for (const s of getSekkiForYear(year)) {
+    const key = formatDateKey(s.start, timeZone);
+    events.push({
+      uid: `sekki-${year}-${s.index}-${zone}`,
+      summary: s.name,
+      description: `二十四節気。太陽黄経 ${s.longitude}°、${formatDateTime(s.start, timeZone)}（${timeZone}）`,
+      start: key,
+      end: key
+    });
+  }
+
+  for (const z of getZassetsuForYear(year, timeZone)) {
+    events.push({ uid: `zassetsu-${z.start}-${z.name}-${zone}`, summary: z.name, description: `雑節。${z.description}`, start: z.start, end: z.end });
+  }
+
+  if (opt.akeKure) {
+    // 観測地ごとに別の予定にする（複数の観測地の暦を取り込めるように）
+    const place = `${Number(loc.lat).toFixed(2)}_${Number(loc.lon).toFixed(2)}`;
+    const days = Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000);
+    for (let i = 0; i < days; i++) {
+      const sun = ComputeSunData(new Date(zonedTimeToUtc(year, 1, 1 + i, 12, 0, 0, timeZone)), loc);
+      const key = formatDateKey(new Date(sun.noon), timeZone);
+      for (const [name, t] of [["明け六つ", sun.ake], ["暮れ六つ", sun.kure]]) {
+        if (t === null || t === undefined) continue;
+        events.push({ uid: `${name === "明け六つ" ? "ake" : "kure"}-${key}-${place}`, summary: name, description: `昼夜境界: ${sun.boundary.label}`, start: new Date(t) });
+      }
+    }
+  }
+
+  return events;
+}
+
+/* 指定年の季節の暦（iCalendar 文字列、改行は CRLF）
+  * year: 西暦年
+  * loc: { lat, lon, timeZone, boundary, dayBoundary, name }（name はカレンダー名に使う）
+  * opt: { akeKure: 毎日の明け六つ・暮れ六つも入れるか, now: DTSTAMP に使う日時（省略時は現在） }
+  */
+export function buildSeasonalCalendar(year, loc, opt = {}) {
+  if (!Number.isInteger(year)) throw new Error("年を数字で指定してください");
+  if (year < 100 || year > 9999) throw new Error("年は 100〜9999 で指定してください");
+  const stamp = icsDateTime(opt.now || new Date());
+  const title = loc.name ? `和時計の暦 ${year}（${loc.name}）` : `和時計の暦 ${year}`;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Wadokei//Seasonal Calendar//JA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(title)}`
+  ];
+  for (const e of getSeasonalEvents(year, loc, opt)) {
+    lines.push("BEGIN:VEVENT", `UID:${e.uid}@${ICS_UID_DOMAIN}`, `DTSTAMP:${stamp}`, "TRANSP:TRANSPARENT");
+    if (e.start instanceof Date) {
+      lines.push(`DTSTART:${icsDateTime(e.start)}`, `GEO:${loc.lat};${loc.lon}`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(e.start)}`, `DTEND;VALUE=DATE:${icsDate(nextDateKey(e.end))}`);
+    }
+    lines.push(`SUMMARY:${escapeText(e.summary)}`, `DESCRIPTION:${escapeText(e.description)}`, "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,238 @@
+/**
+ * 旧暦（太陰太陽暦）計算モジュール
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   朔（新月）と中気から旧暦の年・月・日を求める。
+ *   冬至を含む月を十一月とし、冬至から次の冬至までに 13 か月あれば
+ *   中気を含まない最初の月を閏月とする。
+ *
+ * calMode による違い:
+ *   - 宣明暦: 定朔・平気（恒気）、進朔あり（朔が 18 時以降なら翌日を朔日とする）
+ *   - 貞享暦: 定朔・平気
+ *   - 寛政暦: 定朔・平気
+ *   - 天保暦: 定朔・定気（太陽黄経が 30° の倍数になる瞬間を中気とする）
+ *
+ * 依存:
+ *   - domain/24terms.mjs（solarLongitude, findSolarLongitudeTime, deltaT）
+ *   - utils/datetime.mjs（getZonedParts, zonedTimeToUtc）
+ *
+ * 注意:
+ *   - 朔・中気は現代の天文計算（Meeus）で求めるため、
+ *     各暦法の当時の計算値とは日付が異なる場合がある。
+ *   - 日付の区切りは timeZone（観測地のタイムゾーン）の 0 時。
+ *
+ * @module kyureki
+ */
+
+import { TROPICAL_YEAR, deltaT, solarLongitude, findSolarLongitudeTime } from "./24terms.mjs";
+import { getZonedParts, zonedTimeToUtc } from "../utils/datetime.mjs";
+
+// 朔望月（日）
+export const SYNODIC_MONTH = 29.530588861;
+
+// 月の異名
+export const KYUREKI_MONTH_NAMES = [
+  "睦月", "如月", "弥生", "卯月", "皐月", "水無月",
+  "文月", "葉月", "長月", "神無月", "霜月", "師走"
+];
+
+// 対応している暦法
+export const CAL_MODES = ["宣明暦", "貞享暦", "寛政暦", "天保暦"];
+
+// 計算済みの年（冬至〜冬至）のキャッシュ
+const kyurekiCache = new Map();
+
+/* k 番目の朔の時刻（Meeus『Astronomical Algorithms』第 49 章）
+  * k: 2000年1月6日の朔を 0 とする通し番号
+  * 戻り値: ミリ秒（UTC）
+  */
+function newMoonTime(k) {
+  const R = Math.PI / 180;
+  const T = k / 1236.85;
+  const s = Math.sin;
+
+  let jde = 2451550.09766 + SYNODIC_MONTH * k
+    + 0.00015437 * T * T - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4;
+
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+  const M = (2.5534 + 29.10535670 * k - 0.0000014 * T * T - 0.00000011 * T ** 3) * R;
+  const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T * T + 0.00001238 * T ** 3 - 0.000000058 * T ** 4) * R;
+  const F = (160.7108 + 390.67050284 * k - 0.0016118 * T * T - 0.00000227 * T ** 3 + 0.000000011 * T ** 4) * R;
+  const O = (124.7746 - 1.56375588 * k + 0.0020672 * T * T + 0.00000215 * T ** 3) * R;
+
+  // 周期項
+  jde += -0.40720 * s(Mp) + 0.17241 * E * s(M) + 0.01608 * s(2 * Mp)
+    + 0.01039 * s(2 * F) + 0.00739 * E * s(Mp - M) - 0.00514 * E * s(Mp + M)
+    + 0.00208 * E * E * s(2 * M) - 0.00111 * s(Mp - 2 * F) - 0.00057 * s(Mp + 2 * F)
+    + 0.00056 * E * s(2 * Mp + M) - 0.00042 * s(3 * Mp) + 0.00042 * E * s(M + 2 * F)
+    + 0.00038 * E * s(M - 2 * F) - 0.00024 * E * s(2 * Mp - M) - 0.00017 * s(O)
+    - 0.00007 * s(Mp + 2 * M) + 0.00004 * s(2 * Mp - 2 * F) + 0.00004 * s(3 * M)
+    + 0.00003 * s(Mp + M - 2 * F) + 0.00003 * s(2 * Mp + 2 * F) - 0.00003 * s(Mp + M + 2 * F)
+    + 0.00003 * s(Mp - M + 2 * F) - 0.00002 * s(Mp - M - 2 * F) - 0.00002 * s(3 * Mp + M)
+    + 0.00002 * s(4 * Mp);
+
+  // 惑星による補正
+  const planetary = [
+    [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165],
+    [251.83, 26.651886, 0.000164], [349.42, 36.412478, 0.000126],
+    [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+    [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056],
+    [34.52, 27.261239, 0.000047], [207.19, 0.121824, 0.000042],
+    [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+    [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023]
+  ];
+  planetary.forEach(([a, b, c], i) => {
+    const x = a + b * k - (i === 0 ? 0.009173 * T * T : 0);
+    jde += c * s(x * R);
+  });
+
+  // 力学時 → 世界時
+  const ms = (jde - 2440587.5) * 86400000;
+  return ms - deltaT(new Date(ms).getUTCFullYear()) * 1000;
+}
+
+/* 指定時刻以前で最も近い朔の通し番号
+  * ms: ミリ秒
+  */
+function newMoonIndexBefore(ms) {
+  let k = Math.floor((ms - newMoonTime(0)) / (SYNODIC_MONTH * 86400000));
+  while (newMoonTime(k + 1) <= ms) k++;
+  while (newMoonTime(k) > ms) k--;
+  return k;
+}
+
+/* timeZone での日付の 0 時（ミリ秒）
+  * days: 翌日以降を求める場合の日数
+  */
+function localDayStart(ms, timeZone, days = 0) {
+  const { year, month, day } = getZonedParts(new Date(ms), timeZone);
+  return zonedTimeToUtc(year, month, day + days, 0, 0, 0, timeZone);
+}
+
+/* k 番目の朔日（月の初日の 0 時）
+  * 宣明暦は進朔: 朔が 18 時以降なら翌日を朔日とする
+  */
+function monthStartDay(k, calMode, timeZone) {
+  const t = newMoonTime(k);
+  const day = localDayStart(t, timeZone);
+  if (calMode === "宣明暦" && t - day >= 18 * 3600 * 1000) {
+    return localDayStart(t, timeZone, 1);
+  }
+  return day;
+}
+
+/* 指定日を含む月の朔番号
+  */
+function monthIndexOf(day, calMode, timeZone) {
+  let k = newMoonIndexBefore(day + 86400000);
+  while (monthStartDay(k, calMode, timeZone) > day) k--;
+  while (monthStartDay(k + 1, calMode, timeZone) <= day) k++;
+  return k;
+}
+
+/* 冬至から次の冬至までの月の並び
+  * year: 冬至の属する西暦年
+  * calMode: 暦法
+  * timeZone: 日付の区切りに使うタイムゾーン
+  * 戻り値: [{ k, start, end, month, leap, year }]（start/end は timeZone の 0 時のミリ秒）
+  */
+function buildKyurekiYear(year, calMode, timeZone) {
+  const key = `${calMode}:${timeZone || ""}:${year}`;
+  if (kyurekiCache.has(key)) {
+    return kyurekiCache.get(key);
+  }
+
+  const teiki = calMode === "天保暦";
+  const w1 = findSolarLongitudeTime(270, Date.UTC(year, 11, 21)).getTime();
+  const w2 = teiki
+    ? findSolarLongitudeTime(270, Date.UTC(year + 1, 11, 21)).getTime()
+    : w1 + TROPICAL_YEAR * 86400000;
+
+  // 中気（冬至から 30° ごと）
+  const chuki = [];
+  for (let j = 0; j <= 12; j++) {
+    const t = teiki
+      ? findSolarLongitudeTime((270 + 30 * j) % 360, w1 + j * TROPICAL_YEAR / 12 * 86400000).getTime()
+      : w1 + j * TROPICAL_YEAR / 12 * 86400000;
+    chuki.push(localDayStart(t, timeZone));
+  }
+
+  const k1 = monthIndexOf(localDayStart(w1, timeZone), calMode, timeZone);
+  const k2 = monthIndexOf(localDayStart(w2, timeZone), calMode, timeZone);
+
+  const months = [];
+  for (let k = k1; k < k2; k++) {
+    const start = monthStartDay(k, calMode, timeZone);
+    const end = monthStartDay(k + 1, calMode, timeZone);
+    months.push({ k, start, end, hasChuki: chuki.some(c => start <= c && c < end) });
+  }
+
+  // 13 か月ある年は、中気を含まない最初の月が閏月
+  const leapIndex = months.length === 13
+    ? months.findIndex((m, i) => i > 0 && !m.hasChuki)
+    : -1;
+
+  let month = 10;
+  let y = year;
+  months.forEach((m, i) => {
+    if (i === leapIndex) {
+      m.leap = true;
+    } else {
+      m.leap = false;
+      month = month % 12 + 1;
+      if (month === 1) y = year + 1;
+    }
+    m.month = month;
+    m.year = y;
+  });
+
+  kyurekiCache.set(key, months);
+  return months;
+}
+
+/* 旧暦の年月日
+  * date: Dateオブジェクト
+  * calMode: "宣明暦" / "貞享暦" / "寛政暦" / "天保暦"（省略時は天保暦）
+  * timeZone: 日付の区切りに使うタイムゾーン（省略時は端末のタイムゾーン）
+  * 戻り値: {
+  *   year, month, day, leap: 閏月か, monthName: 月の異名,
+  *   calMode, monthStart: 朔日（Date）, newMoon: 朔の瞬間（Date）,
+  *   moonAge: 月齢（日）
+  * }
+  */
+export function getKyureki(date, calMode, timeZone) {
+  const mode = CAL_MODES.includes(calMode) ? calMode : "天保暦";
+  const day = localDayStart(date.getTime(), timeZone);
+  const { year } = getZonedParts(date, timeZone);
+
+  // 今年の冬至月より前なら前年の冬至から数える
+  let months = buildKyurekiYear(year, mode, timeZone);
+  if (day < months[0].start) {
+    months = buildKyurekiYear(year - 1, mode, timeZone);
+  }
+  const m = months.find(m => m.start <= day && day < m.end);
+
+  const newMoon = newMoonTime(m.k);
+  return {
+    year: m.year,
+    month: m.month,
+    day: Math.round((day - m.start) / 86400000) + 1,
+    leap: m.leap,
+    monthName: KYUREKI_MONTH_NAMES[m.month - 1],
+    calMode: mode,
+    monthStart: new Date(m.start),
+    newMoon: new Date(newMoon),
+    moonAge: (date.getTime() - newMoon) / 86400000
+  };
+}
+
+/* 旧暦の表示用文字列
+  * k: getKyureki() の戻り値
+  * 戻り値: 例 "2026年 閏8月（葉月）15日"
+  */
+export function formatKyureki(k) {
+  return `${k.year}年 ${k.leap ? "閏" : ""}${k.month}月（${k.monthName}）${k.day}日`;
+}
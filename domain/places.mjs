@@ -0,0 +1,202 @@
+/**
+ * 観測地プリセット
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   オフラインで選べる観測地の一覧。
+ *   現代の主要都市と、江戸時代の城下町・町（城・御所などの位置）を収録する。
+ *   緯度・経度は度（北緯・東経を正）、timeZone は IANA 名。
+ *   プリセット以外の地点のタイムゾーンは resolveTimeZone() が推定する（日本の範囲・端末のタイムゾーン・経度）。
+ *
+ * 依存:
+ *   - utils/datetime.mjs（getZonedFormatter, getTimeZoneOffset）
+ *
+ * @module places
+ */
+
+import { getZonedFormatter, getTimeZoneOffset } from "../utils/datetime.mjs";
+
+export const PLACES = [
+  // 江戸時代の城下町・町
+  { id: "edo", group: "城下町", name: "江戸（皇居）", lat: 35.685175, lon: 139.752799, timeZone: "Asia/Tokyo" },
+  { id: "kyo", group: "城下町", name: "京（京都御所）", lat: 35.025400, lon: 135.762100, timeZone: "Asia/Tokyo" },
+  { id: "osaka-jo", group: "城下町", name: "大坂（大坂城）", lat: 34.687300, lon: 135.526200, timeZone: "Asia/Tokyo" },
+  { id: "sunpu", group: "城下町", name: "駿府（駿府城）", lat: 34.982500, lon: 138.383400, timeZone: "Asia/Tokyo" },
+  { id: "odawara", group: "城下町", name: "小田原（小田原城）", lat: 35.250900, lon: 139.153600, timeZone: "Asia/Tokyo" },
+  { id: "owari", group: "城下町", name: "尾張名古屋（名古屋城）", lat: 35.185600, lon: 136.899800, timeZone: "Asia/Tokyo" },
+  { id: "kaga", group: "城下町", name: "加賀金沢（金沢城）", lat: 36.564600, lon: 136.659400, timeZone: "Asia/Tokyo" },
+  { id: "hikone", group: "城下町", name: "彦根（彦根城）", lat: 35.276400, lon: 136.251900, timeZone: "Asia/Tokyo" },
+  { id: "himeji", group: "城下町", name: "姫路（姫路城）", lat: 34.839400, lon: 134.693900, timeZone: "Asia/Tokyo" },
+  { id: "matsue", group: "城下町", name: "松江（松江城）", lat: 35.475000, lon: 133.050600, timeZone: "Asia/Tokyo" },
+  { id: "hagi", group: "城下町", name: "長州萩（萩城）", lat: 34.422200, lon: 131.383300, timeZone: "Asia/Tokyo" },
+  { id: "kochi", group: "城下町", name: "土佐高知（高知城）", lat: 33.560700, lon: 133.531400, timeZone: "Asia/Tokyo" },
+  { id: "saga", group: "城下町", name: "肥前佐賀（佐賀城）", lat: 33.245600, lon: 130.303100, timeZone: "Asia/Tokyo" },
+  { id: "nagasaki-dejima", group: "城下町", name: "長崎（出島）", lat: 32.743700, lon: 129.873000, timeZone: "Asia/Tokyo" },
+  { id: "kumamoto", group: "城下町", name: "肥後熊本（熊本城）", lat: 32.806300, lon: 130.705800, timeZone: "Asia/Tokyo" },
+  { id: "satsuma", group: "城下町", name: "薩摩鹿児島（鶴丸城）", lat: 31.598900, lon: 130.554700, timeZone: "Asia/Tokyo" },
+  { id: "sendai-jo", group: "城下町", name: "仙台（仙台城）", lat: 38.253000, lon: 140.856200, timeZone: "Asia/Tokyo" },
+  { id: "aizu", group: "城下町", name: "会津若松（鶴ヶ城）", lat: 37.487800, lon: 139.929800, timeZone: "Asia/Tokyo" },
+  { id: "matsumoto", group: "城下町", name: "松本（松本城）", lat: 36.238600, lon: 137.968900, timeZone: "Asia/Tokyo" },
+  { id: "hirosaki", group: "城下町", name: "弘前（弘前城）", lat: 40.607800, lon: 140.463600, timeZone: "Asia/Tokyo" },
+  { id: "matsumae", group: "城下町", name: "松前（松前城）", lat: 41.429700, lon: 140.108700, timeZone: "Asia/Tokyo" },
+  { id: "shuri", group: "城下町", name: "琉球首里（首里城）", lat: 26.217000, lon: 127.719500, timeZone: "Asia/Tokyo" },
+
+  // 現代の都市
+  { id: "sapporo", group: "都市", name: "札幌", lat: 43.062100, lon: 141.354400, timeZone: "Asia/Tokyo" },
+  { id: "sendai", group: "都市", name: "仙台", lat: 38.268200, lon: 140.869400, timeZone: "Asia/Tokyo" },
+  { id: "tokyo", group: "都市", name: "東京", lat: 35.681200, lon: 139.767100, timeZone: "Asia/Tokyo" },
+  { id: "yokohama", group: "都市", name: "横浜", lat: 35.443700, lon: 139.638000, timeZone: "Asia/Tokyo" },
+  { id: "niigata", group: "都市", name: "新潟", lat: 37.916100, lon: 139.036400, timeZone: "Asia/Tokyo" },
+  { id: "nagoya", group: "都市", name: "名古屋", lat: 35.181500, lon: 136.906600, timeZone: "Asia/Tokyo" },
+  { id: "kanazawa", group: "都市", name: "金沢", lat: 36.561300, lon: 136.656200, timeZone: "Asia/Tokyo" },
+  { id: "kyoto", group: "都市", name: "京都", lat: 35.011600, lon: 135.768100, timeZone: "Asia/Tokyo" },
+  { id: "osaka", group: "都市", name: "大阪", lat: 34.693700, lon: 135.502300, timeZone: "Asia/Tokyo" },
+  { id: "kobe", group: "都市", name: "神戸", lat: 34.690100, lon: 135.195500, timeZone: "Asia/Tokyo" },
+  { id: "hiroshima", group: "都市", name: "広島", lat: 34.385300, lon: 132.455300, timeZone: "Asia/Tokyo" },
+  { id: "takamatsu", group: "都市", name: "高松", lat: 34.342800, lon: 134.046600, timeZone: "Asia/Tokyo" },
+  { id: "fukuoka", group: "都市", name: "福岡", lat: 33.590200, lon: 130.401700, timeZone: "Asia/Tokyo" },
+  { id: "nagasaki", group: "都市", name: "長崎", lat: 32.750300, lon: 129.877700, timeZone: "Asia/Tokyo" },
+  { id: "kagoshima", group: "都市", name: "鹿児島", lat: 31.596600, lon: 130.557100, timeZone: "Asia/Tokyo" },
+  { id: "naha", group: "都市", name: "那覇", lat: 26.212400, lon: 127.680900, timeZone: "Asia/Tokyo" }
+];
+
+/* プリセットの検索
+  * key: id または名前
+  * 戻り値: プリセット（見つからなければ null）
+  */
+export function findPlace(key) {
+  if (!key) return null;
+  return PLACES.find(p => p.id === key || p.name === key) || null;
+}
+
+/* 緯度経度に一致するプリセット（同一地点の判定は約 100m）
+  */
+export function findPlaceByCoords(lat, lon) {
+  return PLACES.find(p => Math.abs(p.lat - lat) < 0.001 && Math.abs(p.lon - lon) < 0.001) || null;
+}
+
+/* 日本のタイムゾーンとみなす範囲（緯度・経度の矩形の組）
+  * 隣国（朝鮮半島・鬱陵島・済州島・台湾・沿海州・樺太・北方四島）に掛からないよう島ごとに分ける
+  */
+const JAPAN_REGIONS = [
+  { latMin: 24.0, latMax: 28.5, lonMin: 122.9, lonMax: 131.5 },   // 先島・沖縄・大東諸島
+  { latMin: 27.0, latMax: 31.9, lonMin: 128.5, lonMax: 132.0 },   // 奄美・トカラ・大隅諸島
+  { latMin: 31.0, latMax: 34.2, lonMin: 128.5, lonMax: 132.1 },   // 九州・五島
+  { latMin: 34.2, latMax: 34.8, lonMin: 129.1, lonMax: 132.1 },   // 対馬・壱岐・北九州
+  { latMin: 32.7, latMax: 35.8, lonMin: 130.8, lonMax: 142.0 },   // 四国・中国・近畿・東海
+  { latMin: 35.8, latMax: 37.0, lonMin: 132.5, lonMax: 142.0 },   // 隠岐・北陸・関東
+  { latMin: 37.0, latMax: 41.6, lonMin: 135.9, lonMax: 142.2 },   // 能登・佐渡・東北
+  { latMin: 41.3, latMax: 43.7, lonMin: 139.3, lonMax: 145.9 },   // 北海道（南部・根室）
+  { latMin: 43.7, latMax: 45.6, lonMin: 139.3, lonMax: 145.4 },   // 北海道（北部・知床）
+  { latMin: 24.0, latMax: 34.9, lonMin: 138.9, lonMax: 142.4 },   // 伊豆・小笠原諸島
+  { latMin: 24.2, latMax: 24.4, lonMin: 153.9, lonMax: 154.1 },   // 南鳥島
+  { latMin: 20.3, latMax: 20.6, lonMin: 135.9, lonMax: 136.2 }    // 沖ノ鳥島
+];
+
+/* 日本の範囲内か
+  */
+function isInJapan(lat, lon) {
+  return JAPAN_REGIONS.some(b => b.latMin <= lat && lat <= b.latMax && b.lonMin <= lon && lon <= b.lonMax);
+}
+
+/* 地域のタイムゾーン（"Etc/" や UTC のような固定の時差でないもの）か
+  */
+function isRegionalTimeZone(timeZone) {
+  return !!timeZone && !timeZone.startsWith("Etc/") && timeZone !== "UTC";
+}
+
+/* タイムゾーンの標準時の時差（時間。1 月と 7 月の小さい方で、夏時間を除く）
+  */
+function standardOffsetHours(timeZone) {
+  const year = new Date().getUTCFullYear();
+  return Math.min(
+    getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone),
+    getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone)
+  ) / 3600000;
+}
+
+/* 端末のタイムゾーンと標準時の時差（時間）。地域のタイムゾーンでなければ null
+  * 天文データの計算ごとに呼ばれるので、一度求めたら使い回す
+  */
+let deviceZoneCache;
+function deviceTimeZone() {
+  if (deviceZoneCache !== undefined) return deviceZoneCache;
+  deviceZoneCache = null;
+  try {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (isRegionalTimeZone(timeZone)) {
+      deviceZoneCache = { timeZone, standard: standardOffsetHours(timeZone) };
+    }
+  } catch (e) {
+    // 解釈できない端末は経度から決める
+  }
+  return deviceZoneCache;
+}
+
+/* 経度に合うタイムゾーンの候補（推定したタイムゾーンの代わりに選んでもらうため）
+  * lon: 経度（度）
+  * 戻り値: IANA 名の配列（標準時が経度の時差と 1 時間以内の地域のもの。近い順）
+  *   Intl.supportedValuesOf() の無い環境では空の配列
+  */
+export function timeZoneCandidates(lon) {
+  if (typeof Intl.supportedValuesOf !== "function") return [];
+  const hours = lon / 15;
+  return Intl.supportedValuesOf("timeZone")
+    .filter(isRegionalTimeZone)
+    .map(timeZone => ({ timeZone, diff: Math.abs(standardOffsetHours(timeZone) - hours) }))
+    .filter(c => c.diff <= 1)
+    .sort((a, b) => a.diff - b.diff || a.timeZone.localeCompare(b.timeZone))
+    .map(c => c.timeZone);
+}
+
+/* 観測地のタイムゾーン
+  * timeZone: config.timeZone（IANA 名。"auto" または未指定なら観測地から決める）
+  * 戻り値: IANA 名（resolveTimeZoneInfo() の timeZone）
+  */
+export function resolveTimeZone(timeZone, lat, lon) {
+  return resolveTimeZoneInfo(timeZone, lat, lon).timeZone;
+}
+
+/* 観測地のタイムゾーンと、その決め方
+  * 戻り値: { timeZone, source, guessed }
+  *   source:
+  *     "config"    - 明示された timeZone（ブラウザが解釈できるもの）
+  *     "preset"    - 緯度経度が一致するプリセットの timeZone
+  *     "japan"     - 日本の範囲内なので "Asia/Tokyo"
+  *     "device"    - 端末のタイムゾーン（標準時が経度の時差と 1 時間以内のとき。夏時間も端末に従う）
+  *     "longitude" - 経度 15° ごとの "Etc/GMT±N"（夏時間は考慮しない）
+  *   guessed: 地域のタイムゾーンとして確かでない（"device" / "longitude"）なら true
+  */
+export function resolveTimeZoneInfo(timeZone, lat, lon) {
+  if (timeZone && timeZone !== "auto") {
+    try {
+      getZonedFormatter(timeZone);
+      return { timeZone, source: "config", guessed: false };
+    } catch (e) {
+      console.warn(`タイムゾーンを解釈できません: ${timeZone}`);
+    }
+  }
+
+  const preset = findPlaceByCoords(lat, lon);
+  if (preset) return { timeZone: preset.timeZone, source: "preset", guessed: false };
+
+  if (isInJapan(lat, lon)) {
+    return { timeZone: "Asia/Tokyo", source: "japan", guessed: false };
+  }
+
+  // 端末と同じ地域らしければ端末のタイムゾーン（夏時間の規則を持つ）を使う
+  const device = deviceTimeZone();
+  if (device && Math.abs(device.standard - lon / 15) <= 1) {
+    return { timeZone: device.timeZone, source: "device", guessed: true };
+  }
+
+  // Etc/GMT の符号は逆（東経 135° → UTC+9 → "Etc/GMT-9"）
+  const hours = Math.round(lon / 15);
+  return {
+    timeZone: hours === 0 ? "Etc/GMT" : `Etc/GMT${hours > 0 ? "-" : "+"}${Math.abs(hours)}`,
+    source: "longitude",
+    guessed: true
+  };
+}
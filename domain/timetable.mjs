@@ -0,0 +1,155 @@
+/**
+ * 刻の時刻表（期間・書き出し）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   指定した期間の各日について、十二刻（卯〜翌朝の寅）の開始・終了の現代時刻を求め、
+ *   節気・日の出・日の入り・明け六つ・暮れ六つ・昼夜の一刻の長さとともに表にする。
+ *   刻の境界は盤面の刻線（computeDialAngles() の angleTick）と同じ computeKokuTable() の値を使う。
+ *   半刻を含めるときは各刻の正刻（初刻と正刻の境目）も加える。
+ *
+ * 依存:
+ *   - utils/taiyou.mjs（ComputeSunData）
+ *   - domain/futeiji.mjs（computeKokuTable, kokuName）
+ *   - domain/24terms.mjs（getSekki）
+ *
+ * @module timetable
+ */
+
+import { zonedTimeToUtc, formatDateKey, formatZonedIso } from "../utils/datetime.mjs";
+import { ComputeSunData } from "../utils/taiyou.mjs";
+import { computeKokuTable, kokuName } from "./futeiji.mjs";
+import { getSekki } from "./24terms.mjs";
+import { resolveTimeZone } from "./places.mjs";
+
+// 一度に作れる日数の上限
+export const TIMETABLE_MAX_DAYS = 731;
+
+/* "YYYY-MM-DD" → { year, month, day }（暦に無い日付なら null）
+  */
+function parseDateKey(key) {
+  const m = String(key || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const [year, month, day] = m.slice(1).map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCMonth() === month - 1 && d.getUTCDate() === day ? { year, month, day } : null;
+}
+
+/* 期間の刻の時刻表
+  * from, to: "YYYY-MM-DD"（観測地の日付。to を含む）
+  * loc: { lat, lon, timeZone, boundary, dayBoundary }
+  * 戻り値: {
+  *   timeZone, days: [{
+  *     date, sekki, sunrise, sunset, ake, kure（Date。白夜・極夜の日の出・日の入りは null）,
+  *     polar, dayKokuMinutes, nightKokuMinutes,
+  *     koku: [{ zodiac, number, period, name, start, center, end }]（卯〜翌朝の寅の 12 刻）
+  *   }]
+  * }
+  *   日付・期間が不正なら例外
+  */
+export function buildKokuTimetable(from, to, loc) {
+  const start = parseDateKey(from);
+  const end = parseDateKey(to);
+  if (!start || !end) throw new Error("日付は YYYY-MM-DD で指定してください");
+
+  const count = Math.round((Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(start.year, start.month - 1, start.day)) / 86400000) + 1;
+  if (count < 1) throw new Error("終わりの日付が始まりより前です");
+  if (count > TIMETABLE_MAX_DAYS) throw new Error(`期間は ${TIMETABLE_MAX_DAYS} 日までです`);
+
+  const timeZone = resolveTimeZone(loc.timeZone, loc.lat, loc.lon);
+  const toDate = t => t === null || t === undefined ? null : new Date(t);
+  const days = [];
+  for (let i = 0; i < count; i++) {
+    const noon = new Date(zonedTimeToUtc(start.year, start.month, start.day + i, 12, 0, 0, timeZone));
+    const sun = ComputeSunData(noon, loc);
+
+    // 盤面と同じ卯〜寅（前夜の 3 刻を除く）
+    const koku = computeKokuTable(sun).slice(3);
+    days.push({
+      date: formatDateKey(noon, timeZone),
+      sekki: getSekki(noon).name,
+      sunrise: toDate(sun.sunrise),
+      sunset: toDate(sun.sunset),
+      ake: toDate(sun.ake),
+      kure: toDate(sun.kure),
+      polar: sun.polar,
+      dayKokuMinutes: (koku[1].center - koku[0].center) / 60000,
+      nightKokuMinutes: (koku[7].center - koku[6].center) / 60000,
+      koku: koku.map(k => ({
+        zodiac: k.zodiac,
+        number: k.number,
+        period: k.period,
+        name: kokuName(k),
+        start: new Date(k.start),
+        center: new Date(k.center),
+        end: new Date(k.end)
+      }))
+    });
+  }
+  return { timeZone, days };
+}
+
+/* CSV の 1 項目（カンマ・引用符・改行を含むものは引用符で囲む）
+  */
+function csvField(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* 時刻表 → CSV（1 日 1 行、時刻は観測地の ISO 8601）
+  * table: buildKokuTimetable() の戻り値
+  * opt: { half: 正刻（半刻の境目）の列も出すか }
+  */
+export function timetableToCsv(table, opt = {}) {
+  const { timeZone, days } = table;
+  const time = d => d ? formatZonedIso(d, timeZone) : "";
+  const minutes = m => m.toFixed(1);
+
+  const header = ["日付", "節気", "日の出", "日の入り", "明け六つ", "暮れ六つ", "昼の一刻（分）", "夜の一刻（分）"];
+  if (days.length > 0) {
+    for (const k of days[0].koku) {
+      header.push(`${k.zodiac}（${k.name}）開始`);
+      if (opt.half) header.push(`${k.zodiac}（${k.name}）正刻`);
+    }
+    header.push("寅 終了");
+  }
+
+  const rows = days.map(day => {
+    const row = [day.date, day.sekki, time(day.sunrise), time(day.sunset), time(day.ake), time(day.kure),
+      minutes(day.dayKokuMinutes), minutes(day.nightKokuMinutes)];
+    for (const k of day.koku) {
+      row.push(time(k.start));
+      if (opt.half) row.push(time(k.center));
+    }
+    row.push(time(day.koku[day.koku.length - 1].end));
+    return row;
+  });
+
+  return [header, ...rows].map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+/* 時刻表 → JSON（時刻は観測地の ISO 8601）
+  * opt: { half: 正刻（半刻の境目）も出すか }
+  */
+export function timetableToJson(table, opt = {}) {
+  const { timeZone, days } = table;
+  const time = d => d ? formatZonedIso(d, timeZone) : null;
+
+  return JSON.stringify({
+    timeZone,
+    days: days.map(day => ({
+      ...day,
+      sunrise: time(day.sunrise),
+      sunset: time(day.sunset),
+      ake: time(day.ake),
+      kure: time(day.kure),
+      koku: day.koku.map(k => {
+        const entry = { zodiac: k.zodiac, name: k.name, start: time(k.start), end: time(k.end) };
+        if (opt.half) entry.center = time(k.center);
+        return entry;
+      })
+    }))
+  }, null, 2);
+}
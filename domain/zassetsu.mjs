@@ -0,0 +1,100 @@
+/**
+ * 雑節計算モジュール
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   二十四節気とは別に、季節の目安として暦に載る雑節の日付を求める。
+ *   日付は観測地のタイムゾーンの暦日（"YYYY-MM-DD"）で返す。
+ *
+ * 定義（現行の暦要項に合わせる）:
+ *   節分       立春の前日
+ *   彼岸       春分・秋分を中日とする前後 3 日（7 日間）
+ *   社日       春分・秋分に最も近い戊（つちのえ）の日（春分・秋分が癸の日なら前の戊の日）
+ *   八十八夜   立春から数えて 88 日目
+ *   入梅       太陽黄経 80°
+ *   半夏生     太陽黄経 100°
+ *   土用       立春・立夏・立秋・立冬の前 18 日間（太陽黄経 297°・27°・117°・207° から）
+ *   二百十日   立春から数えて 210 日目
+ *
+ * 依存:
+ *   - domain/24terms.mjs（getSekkiForYear, findSolarLongitudeTime）
+ *
+ * @module zassetsu
+ */
+
+import { formatDateKey } from "../utils/datetime.mjs";
+import { getSekkiForYear, findSolarLongitudeTime } from "./24terms.mjs";
+
+// 十干（日の干支の 10 日周期）
+const JIKKAN = ["甲", "乙", "丙", "丁", "戊", "己", "庚", "辛", "壬", "癸"];
+
+// 土用入りの太陽黄経と、その土用の季節
+const DOYOU_TERMS = [
+  { longitude: 297, season: "冬" },
+  { longitude: 27, season: "春" },
+  { longitude: 117, season: "夏" },
+  { longitude: 207, season: "秋" }
+];
+
+/* "YYYY-MM-DD" に日数を足す
+  */
+function addDays(key, days) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/* その日の十干（"YYYY-MM-DD" → "甲" … "癸"）
+  * ユリウス日（正午）を 10 で割った余りから求める（2000-01-01 は戊午の日）
+  */
+export function dayStem(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  const jdn = Date.UTC(y, m - 1, d) / 86400000 + 2440588;
+  return JIKKAN[(jdn + 9) % 10];
+}
+
+/* 社日（中日に最も近い戊の日）
+  */
+function shanichi(key) {
+  const offset = (JIKKAN.indexOf("戊") - JIKKAN.indexOf(dayStem(key)) + 10) % 10;
+  // offset 0〜4 は後の戊、6〜9 は前の戊。5（癸の日）は前の戊を採る
+  return addDays(key, offset < 5 ? offset : offset - 10);
+}
+
+/* 指定年（1/1〜12/31）の雑節一覧
+  * year: 西暦年
+  * timeZone: 暦日を決めるタイムゾーン（IANA 名）
+  * 戻り値: [{ name, start, end, description }]（日付順）
+  *   start, end: "YYYY-MM-DD"（end はその雑節の最終日。1 日だけなら start と同じ）
+  */
+export function getZassetsuForYear(year, timeZone) {
+  const sekki = Object.fromEntries(getSekkiForYear(year).map(s => [s.name, formatDateKey(s.start, timeZone)]));
+  const day = (name, key, description) => ({ name, start: key, end: key, description });
+  const atLongitude = (longitude, month) =>
+    formatDateKey(findSolarLongitudeTime(longitude, Date.UTC(year, month - 1, 15)), timeZone);
+
+  const list = [
+    day("節分", addDays(sekki["立春"], -1), "立春の前日"),
+    day("八十八夜", addDays(sekki["立春"], 87), "立春から 88 日目"),
+    day("入梅", atLongitude(80, 6), "太陽黄経 80°"),
+    day("半夏生", atLongitude(100, 7), "太陽黄経 100°"),
+    day("二百十日", addDays(sekki["立春"], 209), "立春から 210 日目")
+  ];
+
+  for (const [name, center] of [["春の彼岸", sekki["春分"]], ["秋の彼岸", sekki["秋分"]]]) {
+    list.push({ name, start: addDays(center, -3), end: addDays(center, 3), description: `中日 ${center}` });
+  }
+  list.push(day("春の社日", shanichi(sekki["春分"]), "春分に最も近い戊の日"));
+  list.push(day("秋の社日", shanichi(sekki["秋分"]), "秋分に最も近い戊の日"));
+
+  // 土用: 土用入りから次の四立の前日まで
+  const risshi = { 冬: "立春", 春: "立夏", 夏: "立秋", 秋: "立冬" };
+  for (const { longitude, season } of DOYOU_TERMS) {
+    const next = sekki[risshi[season]];
+    const start = formatDateKey(findSolarLongitudeTime(longitude, Date.parse(`${next}T00:00:00Z`) - 18 * 86400000), timeZone);
+    list.push({ name: `${season}の土用`, start, end: addDays(next, -1), description: `太陽黄経 ${longitude}° から${risshi[season]}の前日まで` });
+  }
+
+  return list.sort((a, b) => a.start.localeCompare(b.start));
+}
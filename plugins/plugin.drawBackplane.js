@@ -14,361 +14,268 @@
  *   - 盤面の中心合わせ（Canvas 中心に translate）
  *   - スケール調整（高 DPI や画像サイズ差に対応）
  *   - dialMode による盤面切り替え（標準盤・不定時法盤など）
+ *   - 半刻・四半刻の細かい目盛り（config.subTicks）
  *
  * 注意:
- *   - 背景画像は Init 時にプリロードされ、Wadokei.backplane.loaded に格納される。
- *   - drawBackpanel() は画像ロード完了後にのみ描画される。
+ *   - 背景画像（config.backgroundImage）はプラグイン登録簿が読み込み、完了するまで描画されない。
  *   - 画像は「中心が画像中央」でデザインされていることを前提とする。
+ *   - 刻線・文字の配置は manifest.options（config.pluginOptions.image で上書き可）。
  *
  * @param {CanvasRenderingContext2D} ctx - 描画先の Canvas コンテキスト
  * @param {number} radius - 時計の半径（Canvas.width / 2）
  * @param {Object} [opt] - オプション設定
- * @param {number} [opt.scale=1.0] - 背景画像のスケール倍率
- * @param {number} [opt.offsetX=0] - 中心補正（横方向）
- * @param {number} [opt.offsetY=0] - 中心補正（縦方向）
- * @returns {void}
+ * @param {string} [opt.dialMode] - "午上" / "子上" / "回転盤"（回転盤は午上の配置で描き、drawClock() が盤面ごと回す）
+ * @param {string} [opt.dayColor] - 昼の地色（config.dayColor）
+ * @param {string} [opt.nightColor] - 夜の地色（config.nightColor）
+ * @param {string} [opt.subTicks] - 細かい目盛り（"none" / "half" / "quarter"、config.subTicks）
+ * @param {Object} plugin - プラグインのインスタンス（options, images）
+ * @returns {{ angleZodiac, angleTick, shift }}
  */
 
-function InitDrawBackplane(config) {
-    const img = new Image();
-    img.src = Wadokei.consts.pluginRsrcsDir + config.backgroundImage || "brass_backpanel.webp";
-    img.onload = () => {
-        Wadokei.backplane.image = img;
-        Wadokei.backplane.loaded = true;
-        console.log("Backplane image loaded");
-    };
-    Wadokei.backplane.layout = {
-        // 刻線の内外位置（radius からの距離）
-        tickOuter: 60,
-        tickInner: 20,
-
-        // 干支の文字設定
-        zodiacFontSize: 20,
-        zodiacRadiusOffset: 40,
-        zodiacFontFamily: "'Yu Mincho', serif",
-        zodiacColor: "#5c3317",
-
-        // 漢数字（四〜九）の文字設定
-        numberFontSize: 16,
-        numberRadiusOffset: 80,
-        numberFontFamily: "'Yu Mincho', serif",
-        numberColor: "#333"
-
-    };
-}
-
-configPromise.then(InitDrawBackplane);
-
-function drawBackground(ctx, radius) {
-    if (!Wadokei.backplane.loaded) return;
-
-    ctx.save();
-    try {
-        // 円形クリッピング
-        ctx.beginPath();
-        ctx.arc(0, 0, radius, 0, 2 * Math.PI);
-        ctx.clip();
-
-        // 画像の縦横比を維持したまま、円より少し大きめに描く
-        const w = Wadokei.backplane.image.width;
-        const h = Wadokei.backplane.image.height;
-        const aspect = w / h;
-
-        let drawW, drawH;
-
-        if (aspect > 1) {
-            // 横長 → 高さ基準
-            drawH = radius * 2 * 1.2; // ← 20%大きめ
-            drawW = drawH * aspect;
-        } else {
-            // 縦長 → 幅基準
-            drawW = radius * 2 * 1.2;
-            drawH = drawW / aspect;
-        }
-
-        ctx.drawImage(Wadokei.backplane.image, -drawW / 2, -drawH / 2, drawW, drawH);
-
-    } finally {
-        ctx.restore();
-    }
-}
-
-function drawDialWithAngles(angleMap, r) {
-    for (const z in angleMap) {
-        drawTextAtAngle(z, angleMap[z], r);
-    }
-}
-
-function drawTextAtAngle(text, angle, baseR) {
-    const ctx = Wadokei.ctx;
-    const layout = Wadokei.backplane.layout;
-    const r = baseR - layout.zodiacRadiusOffset * Wadokei.uiScale;
-
-    ctx.save();
-    try {
-        ctx.rotate(angle);
-        ctx.translate(0, -r);
-        ctx.font = `${layout.zodiacFontSize * Wadokei.uiScale}px ${layout.zodiacFontFamily}`;
-        ctx.fillStyle = layout.zodiacColor;
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        ctx.fillText(text, 0, 0);
-    } finally {
-        ctx.restore();
-    }
-}
-
-// 漢数字（四〜九）を角度位置に描く
-function drawNumberAtAngle(text, angle, baseR) {
-    const ctx = Wadokei.ctx;
-    const layout = Wadokei.backplane.layout;
-    const r = baseR - layout.numberRadiusOffset * Wadokei.uiScale;
-
-    ctx.save();
-    try {
-        ctx.rotate(angle);
-        ctx.translate(0, -r);
-        ctx.font = `${layout.numberFontSize * Wadokei.uiScale}px ${layout.numberFontFamily}`;
-        ctx.fillStyle = layout.numberColor;
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        ctx.fillText(text, 0, 0);
-    } finally {
-        ctx.restore();
-    }
-}
-
-// 刻線（tick）を角度位置に描く
-function drawTickAtAngle(angle, r1, r2) {
-    const ctx = Wadokei.ctx;
-    ctx.save();
-    try {
-        ctx.rotate(angle);
-        ctx.beginPath();
-        ctx.moveTo(0, -r1);
-        ctx.lineTo(0, -r2);
-        ctx.stroke();
-    } finally {
-        ctx.restore();
-    }
-}
-
-function drawBackplane(ctx, radius) {
-    const { dialMode, lat, lon } = Wadokei.config;
-    const { sunrise, sunset, ake, kure } = Wadokei.sun;
-
-    drawBackground(ctx, radius); // ← ここで背景を描画
-
-    // 卯の正刻（明け六つ）
-    const tU = ake;
-
-    // 酉の正刻（暮れ六つ）
-    const tY = kure;
-
-    // 昼の長さ（寛政暦補正後）
-    const rDay = (tY - tU) / (24 * 3600 * 1000);
-    const thetaDay = rDay * 2 * Math.PI;
-
-    // 補正後の正午
-    const trueNoonCorrected = tU + (tY - tU) / 2;
-
-    // 今日の 12:00
-    const noon = new Date(sunrise);
-    noon.setHours(12, 0, 0, 0);
-    const noonMs = noon.getTime();
-
-    // ズレ（ミリ秒）
-    const delta = trueNoonCorrected - noonMs;
+(() => {
 
-    // 角度に変換（1日 = 2π）
-    const tickShift = delta * (2 * Math.PI / 86400000);
-
-
-    // -----------------------------
-    // 干支角度（純粋幾何学）
-    // -----------------------------
-    const angle = {};
-
-    // 絶対基準
-    angle["午"] = 0;
-    angle["子"] = Math.PI;
-
-    // 卯・酉（昼の端）
-    angle["卯"] = -thetaDay / 2;
-    angle["酉"] = +thetaDay / 2;
-
-    // 午→卯 の弧を、卯側から見て 3等分
-    {
-        const w1 = (angle["午"] - angle["卯"] + 2 * Math.PI) % (2 * Math.PI);
-        angle["辰"] = (angle["卯"] + w1 / 3) % (2 * Math.PI);
-        angle["巳"] = (angle["卯"] + 2 * w1 / 3) % (2 * Math.PI);
-    }
-
-    // 午→酉（未・申）はそのままで OK（午側から割っても順番が崩れない）
-    {
-        const w1 = (angle["酉"] - angle["午"] + 2 * Math.PI) % (2 * Math.PI);
-        angle["未"] = (angle["午"] + w1 / 3) % (2 * Math.PI);
-        angle["申"] = (angle["午"] + 2 * w1 / 3) % (2 * Math.PI);
-    }
-
-    // 酉→子 の弧を、酉側から見て 3等分（ここが戌亥）
-    {
-        const w2 = (angle["子"] - angle["酉"] + 2 * Math.PI) % (2 * Math.PI);
-        angle["戌"] = (angle["酉"] + w2 / 3) % (2 * Math.PI);
-        angle["亥"] = (angle["酉"] + 2 * w2 / 3) % (2 * Math.PI);
+    function init(config, plugin) {
+        if (config.backgroundImage) {
+            plugin.resources.background = config.backgroundImage;
+        }
     }
 
-    // 子→卯 の弧を、子側から見て 3等分（丑・寅）
-    {
-        const w3 = (angle["卯"] - angle["子"] + 2 * Math.PI) % (2 * Math.PI);
-        angle["丑"] = (angle["子"] + w3 / 3) % (2 * Math.PI);
-        angle["寅"] = (angle["子"] + 2 * w3 / 3) % (2 * Math.PI);
+    function drawBackground(ctx, radius, image) {
+        ctx.save();
+        try {
+            // 円形クリッピング
+            ctx.beginPath();
+            ctx.arc(0, 0, radius, 0, 2 * Math.PI);
+            ctx.clip();
+
+            // 画像の縦横比を維持したまま、円より少し大きめに描く
+            const w = image.width;
+            const h = image.height;
+            const aspect = w / h;
+
+            let drawW, drawH;
+
+            if (aspect > 1) {
+                // 横長 → 高さ基準
+                drawH = radius * 2 * 1.2; // ← 20%大きめ
+                drawW = drawH * aspect;
+            } else {
+                // 縦長 → 幅基準
+                drawW = radius * 2 * 1.2;
+                drawH = drawW / aspect;
+            }
+
+            ctx.drawImage(image, -drawW / 2, -drawH / 2, drawW, drawH);
+
+        } finally {
+            ctx.restore();
+        }
     }
 
+    // 干支を角度位置に描く
+    // 文字は放射方向に立てる（頭を外周へ）。回転盤では盤面ごと回るので、真上の針の下に来た文字が正立する
+    function drawTextAtAngle(ctx, layout, scale, text, angle, baseR) {
+        const r = baseR - layout.zodiacRadiusOffset * scale;
 
-    // -----------------------------
-    // 刻線（境界）
-    // -----------------------------
-    // 干支の中心角 angle[...] はすでに計算済み
-
-    // 刻線（開始角）は中心角の中点
-    function mid(a, b) {
-        let d = (b - a + 2 * Math.PI) % (2 * Math.PI);
-        return (a + d / 2) % (2 * Math.PI);
+        ctx.save();
+        try {
+            ctx.rotate(angle);
+            ctx.translate(0, -r);
+            ctx.font = `${layout.zodiacFontSize * scale}px ${layout.zodiacFontFamily}`;
+            ctx.fillStyle = layout.zodiacColor;
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(text, 0, 0);
+        } finally {
+            ctx.restore();
+        }
     }
 
-    const angleTick = [];
-
-    // 卯の開始角（寅と卯の中点）
-    angleTick.push(mid(angle["寅"], angle["卯"]));
-
-    // 辰
-    angleTick.push(mid(angle["卯"], angle["辰"]));
-
-    // 巳
-    angleTick.push(mid(angle["辰"], angle["巳"]));
-
-    // 午
-    angleTick.push(mid(angle["巳"], angle["午"]));
-
-    // 未
-    angleTick.push(mid(angle["午"], angle["未"]));
-
-    // 申
-    angleTick.push(mid(angle["未"], angle["申"]));
-
-    // 酉
-    angleTick.push(mid(angle["申"], angle["酉"]));
-
-    // 戌
-    angleTick.push(mid(angle["酉"], angle["戌"]));
-
-    // 亥
-    angleTick.push(mid(angle["戌"], angle["亥"]));
-
-    // 子
-    angleTick.push(mid(angle["亥"], angle["子"]));
-
-    // 丑
-    angleTick.push(mid(angle["子"], angle["丑"]));
-
-    // 寅
-    angleTick.push(mid(angle["丑"], angle["寅"]));
-
-    // 翌卯（ループ閉じ）
-    angleTick.push(angleTick[0] + 2 * Math.PI);
-
+    // 漢数字（四〜九）を角度位置に描く（向きは干支と同じ）
+    function drawNumberAtAngle(ctx, layout, scale, text, angle, baseR) {
+        const r = baseR - layout.numberRadiusOffset * scale;
 
-    // -----------------------------
-    // dialMode（午上／子上）
-    // -----------------------------
-    let shift = 0;
-    if (dialMode === "子上") {
-        shift = Math.PI;
-    }
-
-    for (const z in angle) {
-        angle[z] = (angle[z] + shift + 2 * Math.PI) % (2 * Math.PI);
-    }
-    for (let i = 0; i < angleTick.length; i++) {
-        angleTick[i] = (angleTick[i] + shift + 2 * Math.PI) % (2 * Math.PI);
+        ctx.save();
+        try {
+            ctx.rotate(angle);
+            ctx.translate(0, -r);
+            ctx.font = `${layout.numberFontSize * scale}px ${layout.numberFontFamily}`;
+            ctx.fillStyle = layout.numberColor;
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(text, 0, 0);
+        } finally {
+            ctx.restore();
+        }
     }
 
-    const angleU2 = angle["卯"];
-    const angleY2 = angle["酉"];
-
-    // -----------------------------
-    // 描画
-    // -----------------------------
-    ctx.save();
-    try {
-        // 昼背景
+    // 刻線（tick）を角度位置に描く
+    function drawTickAtAngle(ctx, angle, r1, r2) {
         ctx.save();
         try {
-            ctx.rotate(-Math.PI / 2);
+            ctx.rotate(angle);
             ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.arc(0, 0, radius - 10, angleU2, angleY2);
-            ctx.fillStyle = "rgba(255, 248, 220, 0.6)";
-            ctx.fill();
-        } finally { ctx.restore(); }
+            ctx.moveTo(0, -r1);
+            ctx.lineTo(0, -r2);
+            ctx.stroke();
+        } finally {
+            ctx.restore();
+        }
+    }
 
-        // 夜背景
+    // 半刻・四半刻の目盛りを描く（prefix: "halfTick" / "quarterTick" の設定）
+    function drawSubTicks(ctx, layout, scale, prefix, angles, radius) {
         ctx.save();
         try {
-            ctx.rotate(-Math.PI / 2);
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.arc(0, 0, radius - 10, angleY2, angleU2 + 2 * Math.PI);
-            ctx.fillStyle = "rgba(230, 240, 255, 0.6)";
-            ctx.fill();
-        } finally { ctx.restore(); }
-
-        // 干支
-        for (const z in angle) {
-            drawTextAtAngle(z, angle[z], radius);
+            ctx.strokeStyle = layout[`${prefix}Color`];
+            ctx.lineWidth = layout[`${prefix}Width`] * scale;
+            for (const a of angles) {
+                drawTickAtAngle(ctx, a,
+                    radius - layout[`${prefix}Outer`] * scale,
+                    radius - layout[`${prefix}Inner`] * scale
+                );
+            }
+        } finally {
+            ctx.restore();
         }
+    }
 
-        // 漢数字
-        const zodiacOrder = [
-            "卯", "辰", "巳", "午", "未", "申",
-            "酉", "戌", "亥", "子", "丑", "寅"
-        ];
-        const clockNumbers = [
-            "六", "五", "四", "九", "八", "七",
-            "六", "五", "四", "九", "八", "七"
-        ];
-
-        for (let i = 0; i < 12; i++) {
-            const z = zodiacOrder[i];
-            drawNumberAtAngle(clockNumbers[i], angle[z], radius);
-        }
+    function drawBackplane(ctx, radius, opt, plugin) {
+        const {
+            dialMode,
+            dayColor = "rgba(255, 248, 220, 0.6)",
+            nightColor = "rgba(230, 240, 255, 0.6)",
+            subTicks = "none"
+        } = opt;
+        const layout = plugin.options;
+        const scale = plugin.clock.uiScale;
 
-        // 刻線
-        for (const a of angleTick) {
-            drawTickAtAngle(a,
-                radius - Wadokei.backplane.layout.tickOuter * Wadokei.uiScale,
-                radius - Wadokei.backplane.layout.tickInner * Wadokei.uiScale
-            );
-        }
+        drawBackground(ctx, radius, plugin.images.background); // ← ここで背景を描画
+
+        // 干支・刻線の角度は不定時法モジュールで計算（toWadoTime と共通）
+        const { angleZodiac: angle, angleTick, angleHalfTick, angleQuarterTick, shift } = computeDialAngles(plugin.clock.sun, dialMode);
 
+        const angleU2 = angle["卯"];
+        const angleY2 = angle["酉"];
 
-        // 中央の丸
+        // -----------------------------
+        // 描画
+        // -----------------------------
         ctx.save();
         try {
-            ctx.beginPath();
-            ctx.arc(0, 0, 6, 0, 2 * Math.PI);
-            ctx.fillStyle = "#000";
-            ctx.fill();
-        } finally { ctx.restore(); }
+            // 昼背景
+            ctx.save();
+            try {
+                ctx.rotate(-Math.PI / 2);
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.arc(0, 0, radius - 10, angleU2, angleY2);
+                ctx.fillStyle = dayColor;
+                ctx.fill();
+            } finally { ctx.restore(); }
+
+            // 夜背景
+            ctx.save();
+            try {
+                ctx.rotate(-Math.PI / 2);
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.arc(0, 0, radius - 10, angleY2, angleU2 + 2 * Math.PI);
+                ctx.fillStyle = nightColor;
+                ctx.fill();
+            } finally { ctx.restore(); }
+
+            // 干支
+            for (const z in angle) {
+                drawTextAtAngle(ctx, layout, scale, z, angle[z], radius);
+            }
+
+            // 漢数字
+            const zodiacOrder = [
+                "卯", "辰", "巳", "午", "未", "申",
+                "酉", "戌", "亥", "子", "丑", "寅"
+            ];
+            const clockNumbers = [
+                "六", "五", "四", "九", "八", "七",
+                "六", "五", "四", "九", "八", "七"
+            ];
+
+            for (let i = 0; i < 12; i++) {
+                const z = zodiacOrder[i];
+                drawNumberAtAngle(ctx, layout, scale, clockNumbers[i], angle[z], radius);
+            }
+
+            // 刻線
+            for (const a of angleTick) {
+                drawTickAtAngle(ctx, a,
+                    radius - layout.tickOuter * scale,
+                    radius - layout.tickInner * scale
+                );
+            }
+
+            // 半刻・四半刻
+            if (subTicks === "half" || subTicks === "quarter") {
+                drawSubTicks(ctx, layout, scale, "halfTick", angleHalfTick, radius);
+            }
+            if (subTicks === "quarter") {
+                drawSubTicks(ctx, layout, scale, "quarterTick", angleQuarterTick, radius);
+            }
+
+            // 中央の丸
+            ctx.save();
+            try {
+                ctx.beginPath();
+                ctx.arc(0, 0, 6, 0, 2 * Math.PI);
+                ctx.fillStyle = "#000";
+                ctx.fill();
+            } finally { ctx.restore(); }
+
+        } finally {
+            ctx.restore();
+        }
 
-    } finally {
-        ctx.restore();
+        return {
+            angleZodiac: angle,
+            angleTick,
+            shift
+        };
     }
 
-    return {
-        angleZodiac: angle,
-        angleTick,
-        shift: tickShift
-    };
-}
\ No newline at end of file
+    Wadokei.registerPlugin({
+        type: "backplane",
+        name: "image",
+        manifest: {
+            resources: { background: "brass_backpanel.webp" },
+            options: {
+                // 刻線の内外位置（radius からの距離）
+                tickOuter: 60,
+                tickInner: 20,
+
+                // 半刻・四半刻の目盛り（config.subTicks で表示。位置は刻線と同じく radius からの距離）
+                // 半刻は干支と同じ角度なので、干支の文字（radius - 40 ± 10）より外側に収める
+                halfTickOuter: 26,
+                halfTickInner: 12,
+                halfTickColor: "#5c3317",
+                halfTickWidth: 1.5,
+                quarterTickOuter: 22,
+                quarterTickInner: 12,
+                quarterTickColor: "rgba(92, 51, 23, 0.6)",
+                quarterTickWidth: 1,
+
+                // 干支の文字設定
+                zodiacFontSize: 20,
+                zodiacRadiusOffset: 40,
+                zodiacFontFamily: "'Yu Mincho', serif",
+                zodiacColor: "#5c3317",
+
+                // 漢数字（四〜九）の文字設定
+                numberFontSize: 16,
+                numberRadiusOffset: 80,
+                numberFontFamily: "'Yu Mincho', serif",
+                numberColor: "#333"
+            }
+        },
+        init,
+        draw: drawBackplane
+    });
+})();
@@ -0,0 +1,174 @@
+/**
+ * 尺時計（縦の目盛り板）の盤面を描画するプラグイン
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   柱に掛ける尺時計の目盛り板を描く。錘に付いた指針が 1 日かけて上から下へ下がり、
+ *   板の刻の目盛りを指す。刻の目盛りは季節で間隔が変わる（実物は節気ごとに駒や板を掛け替えた）。
+ *   目盛りの位置は computePillarScale()（computeDialAngles() と同じ刻の表）から求めるため、
+ *   丸い盤面（plugin.drawBackplane.js）と同じ明け六つ・暮れ六つで区切られる。
+ *
+ * 組み合わせ:
+ *   - manifest.layout が "pillar" のため、drawClock() は丸い盤面の針を描かず、
+ *     同じ layout の針（plugin.drawHand.pillar.js）に指針の位置を渡す。
+ *   - 描画の原点は Canvas の中央（丸い盤面と同じ）。目盛り板は縦に Canvas いっぱいに置く。
+ *
+ * @param {CanvasRenderingContext2D} ctx - 描画先の Canvas コンテキスト
+ * @param {number} radius - Canvas の幅・高さの半分
+ * @param {Object} [opt] - オプション設定
+ * @param {string} [opt.dayColor] - 昼の刻の地色（config.dayColor）
+ * @param {string} [opt.nightColor] - 夜の刻の地色（config.nightColor）
+ * @param {string} [opt.subTicks] - 細かい目盛り（"none" / "half" / "quarter"、config.subTicks）
+ * @param {Object} plugin - プラグインのインスタンス（options が板の寸法・色）
+ * @returns {{ plate: { top, bottom, left, right } }} 目盛り板の位置（針プラグインに渡される）
+ */
+
+(() => {
+
+    // 目盛りの横線を描く（板の左端から width の長さ）
+    function drawMark(ctx, y, left, width) {
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(left + width, y);
+        ctx.stroke();
+    }
+
+    // 板の左右に文字を描く
+    function drawLabel(ctx, text, x, y, font, color) {
+        ctx.save();
+        try {
+            ctx.font = font;
+            ctx.fillStyle = color;
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(text, x, y);
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    function drawBackplane(ctx, radius, opt, plugin) {
+        const {
+            dayColor = "rgba(255, 248, 220, 0.6)",
+            nightColor = "rgba(230, 240, 255, 0.6)",
+            subTicks = "none"
+        } = opt;
+        const layout = plugin.options;
+        const scale = plugin.clock.uiScale;
+
+        const { koku } = computePillarScale(plugin.clock.sun);
+
+        // 目盛り板の位置（原点は Canvas の中央）
+        const width = radius * layout.plateWidthRatio;
+        const plate = {
+            top: -radius + layout.plateMargin * scale,
+            bottom: radius - layout.plateMargin * scale,
+            left: -width / 2,
+            right: width / 2
+        };
+        const height = plate.bottom - plate.top;
+        const y = p => plate.top + p * height;
+
+        ctx.save();
+        try {
+            // 柱（板の周りの木枠）
+            const frame = layout.frameWidth * scale;
+            ctx.fillStyle = layout.frameColor;
+            ctx.fillRect(plate.left - frame, plate.top - frame, width + frame * 2, height + frame * 2);
+
+            // 目盛り板
+            ctx.fillStyle = layout.plateColor;
+            ctx.fillRect(plate.left, plate.top, width, height);
+
+            // 昼・夜の刻の地色（卯〜申が昼、酉〜寅が夜）
+            koku.forEach((k, i) => {
+                ctx.fillStyle = i < 6 ? dayColor : nightColor;
+                ctx.fillRect(plate.left, y(k.start), width, y(k.end) - y(k.start));
+            });
+
+            // 刻の境目（板の幅いっぱい）
+            ctx.strokeStyle = layout.tickColor;
+            ctx.lineWidth = layout.tickWidth * scale;
+            for (const k of koku) {
+                drawMark(ctx, y(k.start), plate.left, width);
+            }
+            drawMark(ctx, y(koku[koku.length - 1].end), plate.left, width);
+
+            // 半刻・四半刻（板の左右から短く）
+            const subMarks = [];
+            if (subTicks === "half" || subTicks === "quarter") {
+                subMarks.push(...koku.map(k => ({ p: k.center, prefix: "halfTick" })));
+            }
+            if (subTicks === "quarter") {
+                // 正刻の前後をそれぞれ 2 等分する（丸い盤面の angleQuarterTick と同じ位置）
+                for (const k of koku) {
+                    subMarks.push({ p: (k.start + k.center) / 2, prefix: "quarterTick" });
+                    subMarks.push({ p: (k.center + k.end) / 2, prefix: "quarterTick" });
+                }
+            }
+            for (const { p, prefix } of subMarks) {
+                const length = width * layout[`${prefix}Ratio`];
+                ctx.strokeStyle = layout[`${prefix}Color`];
+                ctx.lineWidth = layout[`${prefix}Width`] * scale;
+                drawMark(ctx, y(p), plate.left, length);
+                drawMark(ctx, y(p), plate.right - length, length);
+            }
+
+            // 刻の数（板の中央）・干支（板の右）・呼び名の頭（板の左）
+            const numberFont = `${layout.numberFontSize * scale}px ${layout.numberFontFamily}`;
+            const zodiacFont = `${layout.zodiacFontSize * scale}px ${layout.zodiacFontFamily}`;
+            for (const k of koku) {
+                const cy = y(k.center);
+                drawLabel(ctx, k.number, 0, cy, numberFont, layout.numberColor);
+                drawLabel(ctx, k.zodiac, plate.right + frame + layout.zodiacOffset * scale, cy, zodiacFont, layout.zodiacColor);
+                drawLabel(ctx, k.name.slice(0, -2), plate.left - frame - layout.zodiacOffset * scale, cy, zodiacFont, layout.zodiacColor);
+            }
+        } finally {
+            ctx.restore();
+        }
+
+        return { plate };
+    }
+
+    Wadokei.registerPlugin({
+        type: "backplane",
+        name: "pillar",
+        manifest: {
+            layout: "pillar",
+            options: {
+                // 目盛り板（幅は radius に対する比、余白・枠は px）
+                plateWidthRatio: 0.36,
+                plateMargin: 24,
+                plateColor: "#e8d5a3",
+                frameWidth: 10,
+                frameColor: "#6b3e1f",
+
+                // 刻の境目
+                tickColor: "#5c3317",
+                tickWidth: 2,
+
+                // 半刻・四半刻（長さは板の幅に対する比）
+                halfTickRatio: 0.25,
+                halfTickColor: "#5c3317",
+                halfTickWidth: 1.5,
+                quarterTickRatio: 0.12,
+                quarterTickColor: "rgba(92, 51, 23, 0.6)",
+                quarterTickWidth: 1,
+
+                // 刻の数（四〜九）
+                numberFontSize: 20,
+                numberFontFamily: "'Yu Mincho', serif",
+                numberColor: "#333",
+
+                // 干支・呼び名の頭（板の左右）
+                zodiacFontSize: 16,
+                zodiacOffset: 24,
+                zodiacFontFamily: "'Yu Mincho', serif",
+                zodiacColor: "#5c3317"
+            }
+        },
+        draw: drawBackplane
+    });
+})();
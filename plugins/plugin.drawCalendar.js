@@ -0,0 +1,90 @@
+/**
+ * 旧暦の日付と月の満ち欠けを盤面に描画するプラグイン
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   時計の calendar.current（旧暦エンジンの計算結果）を受け取り、
+ *   盤面の中央下に旧暦の月日と月齢に応じた月の形を描く。
+ *   盤面プラグインの後、針プラグインの前に呼び出される。
+ *   配置・色は manifest.options（config.pluginOptions.kyureki で上書き可）。
+ *
+ * @param {CanvasRenderingContext2D} ctx - 描画先の Canvas コンテキスト
+ * @param {number} radius - 時計の半径
+ * @param {Object} calendar - getKyureki() の戻り値
+ * @param {Object} plugin - プラグインのインスタンス（options に配置・色）
+ * @returns {void}
+ */
+
+(() => {
+
+    // 月齢に応じた月の形（右側から満ちる）
+    function drawMoonPhase(ctx, x, y, r, moonAge, layout) {
+        const phase = (moonAge / SYNODIC_MONTH) % 1;    // 0=朔, 0.5=望
+        const k = Math.cos(phase * 2 * Math.PI);        // 明暗境界の楕円比
+
+        ctx.save();
+        try {
+            ctx.translate(x, y);
+
+            // 暗部
+            ctx.beginPath();
+            ctx.arc(0, 0, r, 0, 2 * Math.PI);
+            ctx.fillStyle = layout.moonDark;
+            ctx.fill();
+
+            // 明部（半円 + 楕円）
+            ctx.beginPath();
+            if (phase < 0.5) {
+                ctx.arc(0, 0, r, -Math.PI / 2, Math.PI / 2);
+                ctx.ellipse(0, 0, Math.abs(k) * r, r, 0, Math.PI / 2, -Math.PI / 2, k > 0);
+            } else {
+                ctx.arc(0, 0, r, Math.PI / 2, -Math.PI / 2);
+                ctx.ellipse(0, 0, Math.abs(k) * r, r, 0, -Math.PI / 2, Math.PI / 2, k > 0);
+            }
+            ctx.fillStyle = layout.moonLight;
+            ctx.fill();
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    function drawCalendar(ctx, radius, calendar, plugin) {
+        if (!calendar) return;
+        const layout = plugin.options;
+        const scale = plugin.clock.uiScale || 1;
+        const y = radius * layout.offsetRatio;
+
+        ctx.save();
+        try {
+            ctx.font = `${layout.fontSize * scale}px ${layout.fontFamily}`;
+            ctx.fillStyle = layout.color;
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(`${calendar.leap ? "閏" : ""}${calendar.month}月${calendar.day}日`, 0, y);
+        } finally {
+            ctx.restore();
+        }
+
+        drawMoonPhase(ctx, 0, y - layout.fontSize * scale * 1.6, layout.moonRadius * scale, calendar.moonAge, layout);
+    }
+
+    Wadokei.registerPlugin({
+        type: "calendar",
+        name: "kyureki",
+        manifest: {
+            options: {
+                // 中心からの距離（radius に対する比率）
+                offsetRatio: 0.38,
+                fontSize: 14,
+                fontFamily: "'Yu Mincho', serif",
+                color: "#5c3317",
+                moonRadius: 9,
+                moonLight: "#f4e9b8",
+                moonDark: "#3a3a3a"
+            }
+        },
+        draw: drawCalendar
+    });
+})();
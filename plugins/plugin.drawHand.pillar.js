@@ -0,0 +1,88 @@
+/**
+ * 尺時計の指針（錘）を描画するプラグイン
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   尺時計の目盛り板（plugin.drawBackplane.pillar.js）の横を下がる錘と、
+ *   錘から板へ伸びる指針を描く。丸い盤面の針とは違い、回転ではなく縦の位置で時刻を示す。
+ *
+ * 組み合わせ:
+ *   manifest.layout が "pillar" の針は、drawClock() から角度の代わりに指針の位置を受け取る。
+ *   盤面が尺時計でないときは描かれない。
+ *
+ * @param {CanvasRenderingContext2D} ctx - 描画先の Canvas コンテキスト
+ * @param {number} position - 指針の位置（目盛り板の上端 0 〜 下端 1、pillarPosition()）
+ * @param {Object} plate - 目盛り板の位置 { top, bottom, left, right }（盤面プラグインの戻り値）
+ * @param {Object} [opt] - オプション設定（drawClock() から）
+ * @param {Object} plugin - プラグインのインスタンス（options が錘・指針の寸法・色）
+ * @returns {void}
+ */
+
+(() => {
+  function drawHand(ctx, position, plate, opt, plugin) {
+    const layout = plugin.options;
+    const scale = plugin.clock.uiScale;
+    const y = plate.top + position * (plate.bottom - plate.top);
+
+    // 錘は板の左の溝を下がる
+    const weightW = layout.weightWidth * scale;
+    const weightH = layout.weightHeight * scale;
+    const weightX = plate.left - layout.weightGap * scale - weightW;
+
+    ctx.save();
+    try {
+      ctx.shadowColor = layout.shadow;
+      ctx.shadowBlur = 4;
+
+      // 錘
+      ctx.fillStyle = layout.weightColor;
+      ctx.fillRect(weightX, y - weightH / 2, weightW, weightH);
+
+      // 指針（錘から板の右端まで。先は三角に尖らせる）
+      const tip = plate.right + layout.pointerOverhang * scale;
+      const half = layout.pointerWidth * scale / 2;
+      ctx.fillStyle = layout.pointerColor;
+      ctx.beginPath();
+      ctx.moveTo(weightX + weightW, y - half);
+      ctx.lineTo(tip - half * 3, y - half);
+      ctx.lineTo(tip, y);
+      ctx.lineTo(tip - half * 3, y + half);
+      ctx.lineTo(weightX + weightW, y + half);
+      ctx.closePath();
+      ctx.fill();
+
+      // 指す位置の細い線
+      ctx.shadowBlur = 0;
+      ctx.strokeStyle = layout.lineColor;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(plate.left, y);
+      ctx.lineTo(plate.right, y);
+      ctx.stroke();
+    } finally {
+      ctx.restore();
+    }
+  }
+
+  Wadokei.registerPlugin({
+    type: "hand",
+    name: "pillar",
+    manifest: {
+      layout: "pillar",
+      options: {
+        weightWidth: 18,
+        weightHeight: 34,
+        weightGap: 14,
+        weightColor: "#3a2a1a",
+        pointerWidth: 6,
+        pointerOverhang: 8,
+        pointerColor: "#2b2b2b",
+        lineColor: "rgba(180, 30, 30, 0.8)",
+        shadow: "rgba(0, 0, 0, 0.35)"
+      }
+    },
+    draw: drawHand
+  });
+})();
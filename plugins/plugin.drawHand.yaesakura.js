@@ -8,7 +8,10 @@
  *   和時計の針をデザイン画像で描画するプラグイン。
  *   画像は「右向き」「中心が画像中央」で作成すること。
  *   正午シフト（文字盤調整後）に対応。
+ *   針画像（config.handImage、既定は yaesakura.webp）はプラグイン登録簿が読み込み、
+ *   完了するまで描画されない。
  *
+ * @param {CanvasRenderingContext2D} ctx - 描画先の Canvas コンテキスト
  * @param {number} angle - 針の角度（ラジアン、0=右方向、反時計回り）
  * @param {number} length - 針の長さ（未使用）
  * @param {Object} [opt] - オプション設定
@@ -16,68 +19,68 @@
  * @param {number} [opt.offsetX=0] - 中心補正（横方向）
  * @param {number} [opt.offsetY=0] - 中心補正（縦方向）
  * @param {number} [opt.tickShift=0] - 刻線補正角度（ラジアン）
+ * @param {Object} plugin - プラグインのインスタンス（images.image が針画像）
  * @returns {void}
  */
 
 
-function InitDrawHand(config) {
-  const img = new Image();
-  img.src = Wadokei.consts.pluginRsrcsDir + (config.handImage || 'yaesakura.webp');
+(() => {
 
-  img.onload = () => {
-    Wadokei.hand.image = img;
-    Wadokei.hand.loaded = true;
-    console.log("Hand image loaded");
-    console.log(`Hand image size: ${img.width} x ${img.height} pixels`);
-  };
-}
-
-configPromise.then(InitDrawHand);
-
-function drawHand(angle, length, opt = {}) {
-  const {
-    // scale = 0.4,     // 針の大きさ調整
-    offsetX = 0,     // 中心補正（横）
-    offsetY = 0,      // 中心補正（縦）
-    tickShift = 0    // 刻線補正（未使用）
-  } = opt;
-  if (!Wadokei.hand.loaded) return;
-  const handImage = Wadokei.hand.image;
-  const canvasSize = Wadokei.canvas.clientWidth; // CSSで決まった表示サイズ
-  Wadokei.hand.scale = canvasSize / Math.max(handImage.width, handImage.height);
-  // console.log(`Recommended scale factor: ${Wadokei.hand.scale.toFixed(3)}`);
-  const scale = Wadokei.hand.scale || 0.4;
-
-  const ctx = Wadokei.ctx;
-
-  const cx = 0;//canvas.width / 2;
-  const cy = 0;//canvas.height / 2;
+  function init(config, plugin) {
+    if (config.handImage) {
+      plugin.resources.image = config.handImage;
+    }
+  }
 
-  // 針の角度に正午補正を加える
-  const actualAngle = angle + tickShift;
+  function drawHand(ctx, angle, length, opt = {}, plugin) {
+    const {
+      // scale = 0.4,     // 針の大きさ調整
+      offsetX = 0,     // 中心補正（横）
+      offsetY = 0,      // 中心補正（縦）
+      tickShift = 0    // 刻線補正（未使用）
+    } = opt;
+    const handImage = plugin.images.image;
+    if (!handImage) return;
+    const canvasSize = plugin.clock.canvas.clientWidth; // CSSで決まった表示サイズ
+    plugin.state.scale = canvasSize / Math.max(handImage.width, handImage.height);
+    const scale = plugin.state.scale || 0.4;
 
-  ctx.save();
-  try {
-    ctx.globalAlpha = 1.0;              // ← drawImage の前に必須
-    ctx.globalCompositeOperation = "source-over";
-    ctx.imageSmoothingEnabled = true;
+    const cx = 0;//canvas.width / 2;
+    const cy = 0;//canvas.height / 2;
 
+    // 針の角度に正午補正を加える
+    const actualAngle = angle + tickShift;
 
+    ctx.save();
+    try {
+      ctx.globalAlpha = 1.0;              // ← drawImage の前に必須
+      ctx.globalCompositeOperation = "source-over";
+      ctx.imageSmoothingEnabled = true;
 
-    // 時計の中心へ移動
-    ctx.translate(cx + offsetX, cy + offsetY);
+      // 時計の中心へ移動
+      ctx.translate(cx + offsetX, cy + offsetY);
 
-    ctx.rotate(actualAngle);          // 角度だけ回転
-    ctx.scale(scale, scale);    // 必要ならスケール
+      ctx.rotate(actualAngle);          // 角度だけ回転
+      ctx.scale(scale, scale);    // 必要ならスケール
 
-    // 画像の中心を原点に合わせて描画
-    ctx.drawImage(
-      handImage,
-      -handImage.width / 2,
-      -handImage.height / 2
-    );
-  } finally {
-    ctx.restore();
+      // 画像の中心を原点に合わせて描画
+      ctx.drawImage(
+        handImage,
+        -handImage.width / 2,
+        -handImage.height / 2
+      );
+    } finally {
+      ctx.restore();
+    }
   }
-}
 
+  Wadokei.registerPlugin({
+    type: "hand",
+    name: "yaesakura",
+    manifest: {
+      resources: { image: "yaesakura.webp" }
+    },
+    init,
+    draw: drawHand
+  });
+})();
@@ -0,0 +1,65 @@
+/**
+ * 二十四節気（domain/24terms.mjs）のテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getSekki, getSekkiForYear, solarLongitude, zonedTimeToUtc } from "../wadokei.mjs";
+
+// 2026 年の節入り（日本時、分単位で公表されている時刻）
+const SEKKI_2026 = [
+  ["小寒", 285, 1, 5, 17, 23], ["大寒", 300, 1, 20, 10, 45],
+  ["立春", 315, 2, 4, 5, 2], ["雨水", 330, 2, 19, 0, 52],
+  ["啓蟄", 345, 3, 5, 22, 59], ["春分", 0, 3, 20, 23, 46],
+  ["清明", 15, 4, 5, 3, 40], ["穀雨", 30, 4, 20, 10, 39],
+  ["立夏", 45, 5, 5, 20, 49], ["小満", 60, 5, 21, 9, 37],
+  ["芒種", 75, 6, 6, 0, 48], ["夏至", 90, 6, 21, 17, 24],
+  ["小暑", 105, 7, 7, 10, 57], ["大暑", 120, 7, 23, 4, 13],
+  ["立秋", 135, 8, 7, 20, 43], ["処暑", 150, 8, 23, 11, 19],
+  ["白露", 165, 9, 7, 23, 41], ["秋分", 180, 9, 23, 9, 5],
+  ["寒露", 195, 10, 8, 15, 29], ["霜降", 210, 10, 23, 18, 38],
+  ["立冬", 225, 11, 7, 18, 52], ["小雪", 240, 11, 22, 16, 23],
+  ["大雪", 255, 12, 7, 11, 52], ["冬至", 270, 12, 22, 5, 50]
+];
+
+// 太陽黄経の近似式による誤差の許容（分）
+const TOLERANCE_MIN = 3;
+
+test("getSekkiForYear は 2026 年の節入りを既知の時刻の数分以内で返す", () => {
+  const list = getSekkiForYear(2026);
+  assert.equal(list.length, 24);
+  list.forEach((s, i) => {
+    const [name, longitude, month, day, hour, minute] = SEKKI_2026[i];
+    const expected = zonedTimeToUtc(2026, month, day, hour, minute, 0, "Asia/Tokyo");
+    assert.equal(s.name, name);
+    assert.equal(s.longitude, longitude);
+    assert.ok(Math.abs(s.start - expected) <= TOLERANCE_MIN * 60000,
+      `${name}: ${s.start.toISOString()} / ${new Date(expected).toISOString()}`);
+  });
+});
+
+test("節入りの瞬間の太陽黄経は節気の黄経に一致する", () => {
+  for (const s of getSekkiForYear(2026)) {
+    const diff = ((solarLongitude(s.start) - s.longitude + 540) % 360) - 180;
+    assert.ok(Math.abs(diff) < 1e-4, s.name);
+  }
+});
+
+test("getSekki は節入りの前後で節気が切り替わる", () => {
+  const list = getSekkiForYear(2026);
+  const shunbun = list.find(s => s.name === "春分");
+  const before = getSekki(new Date(shunbun.start.getTime() - 60000));
+  const after = getSekki(new Date(shunbun.start.getTime() + 60000));
+
+  assert.equal(before.name, "啓蟄");
+  assert.equal(before.next.name, "春分");
+  assert.equal(after.name, "春分");
+  assert.equal(after.prev.name, "啓蟄");
+  assert.ok(Math.abs(after.start - shunbun.start) < 60000);
+  assert.ok(Math.abs(before.end - shunbun.start) < 60000);
+});
@@ -0,0 +1,95 @@
+/**
+ * コマンドライン（bin/wadokei.mjs）のテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const BIN = fileURLToPath(new URL("../bin/wadokei.mjs", import.meta.url));
+
+// コマンドを実行して { status, stdout, stderr } を返す
+function wadokei(...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], { encoding: "utf8" });
+  return { status, stdout, stderr };
+}
+
+test("引数なし・--help は使い方を出して終了コード 0", () => {
+  for (const args of [[], ["--help"], ["-h"], ["help"]]) {
+    const r = wadokei(...args);
+    assert.equal(r.status, 0, args.join(" "));
+    assert.match(r.stdout, /^使い方:/);
+  }
+});
+
+test("不明なコマンドは使い方を添えて終了コード 2", () => {
+  const r = wadokei("tomorrow");
+  assert.equal(r.status, 2);
+  assert.match(r.stderr, /不明なコマンドです: tomorrow/);
+  assert.match(r.stderr, /使い方:/);
+});
+
+test("引数の誤りはメッセージを出して終了コード 1", () => {
+  const cases = [
+    [["now", "--lat", "95", "--lon", "139"], /緯度・経度が正しくありません/],
+    [["now", "--lat", "abc"], /緯度・経度が正しくありません/],
+    [["now", "--place", "atlantis"], /観測地のプリセットが見つかりません: atlantis/],
+    [["now", "--at", "yesterday"], /日時を解釈できません: yesterday/],
+    [["now", "--tz", "Europe/Berln"], /タイムゾーンを解釈できません: Europe\/Berln/],
+    [["table"], /日付を YYYY-MM-DD で指定してください/],
+    [["table", "2026-02-30"], /日付が正しくありません: 2026-02-30/],
+    [["timetable"], /期間を YYYY-MM-DD YYYY-MM-DD で指定してください/],
+    [["sekki", "next"], /年を数字で指定してください/],
+    [["now", "--colour"], /^wadokei: /]
+  ];
+  for (const [args, message] of cases) {
+    const r = wadokei(...args);
+    assert.equal(r.status, 1, args.join(" "));
+    assert.equal(r.stdout, "", args.join(" "));
+    assert.match(r.stderr, message, args.join(" "));
+  }
+});
+
+test("オプションは観測地・タイムゾーン・日時に反映される", () => {
+  const r = wadokei("now", "--place", "kyo", "--at", "2026-06-21T12:00", "--json");
+  assert.equal(r.status, 0);
+  const now = JSON.parse(r.stdout);
+  assert.equal(now.timeZone, "Asia/Tokyo");
+  assert.equal(now.date, "2026-06-21T03:00:00.000Z");
+  assert.equal(now.wado.zodiac, "午");
+
+  const berlin = JSON.parse(wadokei("now", "--lat", "52.52", "--lon", "13.405", "--tz", "Europe/Berlin",
+    "--at", "2026-06-21T12:00", "--json").stdout);
+  assert.equal(berlin.timeZone, "Europe/Berlin");
+  assert.equal(berlin.date, "2026-06-21T10:00:00.000Z");
+});
+
+test("タイムゾーンが推定になるときは --tz を促し、出力は続ける", () => {
+  // TZ=UTC の端末では、日本の外の緯度経度は経度からの推定になる
+  const args = ["now", "--lat", "52.52", "--lon", "13.405", "--at", "2026-06-21T12:00", "--json"];
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], {
+    encoding: "utf8", env: { ...process.env, TZ: "UTC" }
+  });
+  assert.equal(status, 0);
+  assert.equal(JSON.parse(stdout).timeZone, "Etc/GMT-1");
+  assert.match(stderr, /Etc\/GMT-1 は経度からの推定/);
+  assert.match(stderr, /--tz で IANA 名を指定してください（候補: .*ほか \d+ 件）/);
+
+  // --tz を指定すれば推定の注意は出ない
+  assert.equal(wadokei(...args, "--tz", "Europe/Berlin").stderr, "");
+});
+
+test("table はその日に掛かる刻を出す", () => {
+  const r = wadokei("table", "2026-12-22", "--place", "edo", "--json");
+  assert.equal(r.status, 0);
+  const table = JSON.parse(r.stdout);
+  assert.equal(table.date, "2026-12-22");
+  assert.equal(table.koku[0].zodiac, "子");
+  assert.ok(table.koku.some(k => k.zodiac === "午"));
+});
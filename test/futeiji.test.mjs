@@ -0,0 +1,122 @@
+/**
+ * 不定時法モジュールのテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ComputeSunData, computeKokuTable, computeDialAngles, toWadoTime, wadoReading, fromWadoTime, kokuName, parseWadoTime,
+  KOKU_ZODIAC, KOKU_NUMBERS, DAY_MS
+} from "../wadokei.mjs";
+
+// 江戸（皇居）、昼夜の長さの差が大きい冬至の日
+const loc = { lat: 35.685175, lon: 139.752799, timeZone: "Asia/Tokyo", boundary: { model: "伏角" }, dayBoundary: "正子" };
+const sun = ComputeSunData(new Date("2026-12-22T03:00:00Z"), loc);
+const reading = t => wadoReading(toWadoTime(new Date(t), loc)).text;
+
+test("明け六つ・暮れ六つの瞬間は六つちょうどと読む", () => {
+  assert.equal(reading(sun.ake), "明け六つ");
+  assert.equal(reading(sun.kure), "暮れ六つ");
+});
+
+test("正刻の直前は一つ前の刻の半四半刻過ぎと読む", () => {
+  assert.equal(reading(sun.ake - 60000), "暁七つ半四半刻過ぎ");
+  assert.equal(reading(sun.kure - 10 * 60000), "夕七つ半四半刻過ぎ");
+});
+
+// 四半刻の区切りの瞬間（fromWadoTime の戻り値）は、読みでもその四半刻になる
+const places = [
+  loc,
+  { lat: 43.0642, lon: 141.3469, timeZone: "Asia/Tokyo", boundary: "日出入", dayBoundary: "明け六つ" },
+  { lat: 52.52, lon: 13.405, timeZone: "Europe/Berlin", boundary: { model: "伏角" }, dayBoundary: "正子" }
+];
+const dates = ["2026-03-20", "2026-06-21", "2026-09-23", "2026-12-22"];
+const suffixes = ["", "四半刻過ぎ", "半", "半四半刻過ぎ"];
+
+test("すべての刻・四半刻で fromWadoTime と wadoReading が往復する", () => {
+  for (const place of places) {
+    for (const date of dates) {
+      KOKU_ZODIAC.forEach((zodiac, i) => {
+        for (const suffix of suffixes) {
+          const expr = kokuName({ zodiac, number: KOKU_NUMBERS[i] }) + suffix;
+          const t = fromWadoTime(new Date(`${date}T12:00:00Z`), expr, place);
+          assert.equal(wadoReading(toWadoTime(t, place)).text, expr, `${place.timeZone} ${date} ${expr}`);
+        }
+      });
+    }
+  }
+});
+
+test("parseWadoTime は数・干支の表記と半刻・四半刻を解釈する", () => {
+  const cases = [
+    ["暁七つ", { zodiac: "寅", offset: 0 }],
+    ["暮六つ", { zodiac: "酉", offset: 0 }],
+    ["夜9つ", { zodiac: "子", offset: 0 }],
+    ["昼八ツ半", { zodiac: "未", offset: 0.5 }],
+    ["暮れ六つ四半刻過ぎ", { zodiac: "酉", offset: 0.25 }],
+    ["朝五つ半四半刻過ぎ", { zodiac: "辰", offset: 0.75 }],
+    ["酉の刻", { zodiac: "酉", offset: 0 }],
+    ["午の正刻", { zodiac: "午", offset: 0 }],
+    ["子の初刻", { zodiac: "子", offset: -0.5 }],
+    ["午の刻半", { zodiac: "午", offset: 0.5 }],
+    ["卯の刻四半刻過ぎ", { zodiac: "卯", offset: 0.25 }]
+  ];
+  for (const [text, expected] of cases) {
+    assert.deepEqual(parseWadoTime(text), expected, text);
+  }
+  assert.throws(() => parseWadoTime("昼六つ"), /解釈できません/);
+});
+
+test("computeKokuTable は前夜の子〜翌朝の寅の 15 刻を隙間なく並べる", () => {
+  const table = computeKokuTable(sun);
+  assert.equal(table.map(k => k.zodiac).join(""), "子丑寅卯辰巳午未申酉戌亥子丑寅");
+  for (let i = 1; i < table.length; i++) {
+    assert.equal(table[i].start, table[i - 1].end);
+  }
+  for (const k of table) {
+    assert.ok(k.start < k.center && k.center < k.end, k.zodiac);
+  }
+  // 卯・酉の正刻は明け六つ・暮れ六つ、昼の刻は明け六つ〜暮れ六つの 6 等分
+  assert.equal(table[3].center, Math.round(sun.ake));
+  assert.equal(table[9].center, Math.round(sun.kure));
+  const dayStep = (sun.kure - sun.ake) / 6;
+  for (let i = 3; i < 9; i++) {
+    assert.ok(Math.abs(table[i].center - (sun.ake + (i - 3) * dayStep)) <= 1, table[i].zodiac);
+  }
+  assert.deepEqual(table.slice(3, 9).map(k => k.period), ["昼", "昼", "昼", "昼", "昼", "昼"]);
+  assert.deepEqual(table.slice(3, 9).map(k => k.count), [6, 5, 4, 9, 8, 7]);
+});
+
+test("明け六つ区切りでは前夜・当夜の刻をそれぞれの夜の長さで割る", () => {
+  const edoAke = { ...loc, dayBoundary: "明け六つ" };
+  const s = ComputeSunData(new Date("2026-12-22T03:00:00Z"), edoAke);
+  const table = computeKokuTable(s);
+  assert.ok(Math.abs((table[3].center - table[0].center) - 3 * (s.ake - s.kurePrev) / 6) <= 1);
+  assert.ok(Math.abs((table[14].center - table[9].center) - 5 * (s.akeNext - s.kure) / 6) <= 1);
+});
+
+test("computeDialAngles は補正後の正午を真上に、刻線・半刻・四半刻を並べる", () => {
+  const up = computeDialAngles(sun, "午上");
+  const down = computeDialAngles(sun, "子上");
+  const near = (a, b) => Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b))) < 1e-6;
+
+  // 午の正刻は補正後の正午（卯・酉の正刻の中点）
+  assert.ok(near(up.angleZodiac["午"], 0));
+  assert.ok(near(down.angleZodiac["午"], Math.PI));
+  assert.ok(near(up.angleZodiac["卯"] + up.angleZodiac["酉"], 2 * Math.PI));
+
+  assert.equal(up.angleTick.length, 13);
+  assert.equal(up.angleTick[12], up.angleTick[0]);
+  assert.equal(up.angleHalfTick.length, 12);
+  assert.equal(up.angleQuarterTick.length, 24);
+
+  // 針の補正角は補正後の正午と常用時の 12:00 の差
+  const trueNoon = sun.ake + (sun.kure - sun.ake) / 2;
+  assert.ok(Math.abs(up.shift + (trueNoon - sun.noon) * 2 * Math.PI / DAY_MS) < 1e-12);
+  assert.equal(down.shift, up.shift);
+});
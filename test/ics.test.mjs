@@ -0,0 +1,106 @@
+/**
+ * 季節の暦の書き出し（domain/ics.mjs・domain/zassetsu.mjs）のテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSeasonalCalendar, getZassetsuForYear } from "../wadokei.mjs";
+
+const loc = { lat: 35.685175, lon: 139.752799, timeZone: "Asia/Tokyo", boundary: { model: "伏角" }, dayBoundary: "正子", name: "江戸（皇居）" };
+const now = new Date("2026-10-19T00:00:00Z");
+const encoder = new TextEncoder();
+
+// 折り返しを戻した論理行
+const unfold = ics => ics.replace(/\r\n /g, "").split("\r\n");
+
+test("iCalendar の先頭と最初の予定（節気）は決まった形で出る", () => {
+  const ics = buildSeasonalCalendar(2026, loc, { now });
+  const golden = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Wadokei//Seasonal Calendar//JA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:和時計の暦 2026（江戸（皇居））",
+    "BEGIN:VEVENT",
+    "UID:sekki-2026-23-Asia_Tokyo@wadokei",
+    "DTSTAMP:20261019T000000Z",
+    "TRANSP:TRANSPARENT",
+    "DTSTART;VALUE=DATE:20260105",
+    "DTEND;VALUE=DATE:20260106",
+    "SUMMARY:小寒",
+    "DESCRIPTION:二十四節気。太陽黄経 285°、2026/01/05 (月) 17:21:2",
+    " 9（Asia/Tokyo）",
+    "END:VEVENT",
+    ""
+  ].join("\r\n");
+  assert.ok(ics.startsWith(golden));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+});
+
+test("行は CRLF で区切り、75 オクテットを超えず、多バイト文字の途中で折り返さない", () => {
+  const name = "あ".repeat(40);
+  const ics = buildSeasonalCalendar(2026, { ...loc, name }, { now });
+
+  assert.ok(!/[^\r]\n/.test(ics), "LF だけの改行がある");
+  assert.ok(!/\r[^\n]/.test(ics), "CR だけの改行がある");
+  for (const line of ics.split("\r\n")) {
+    assert.ok(encoder.encode(line).length <= 75, line);
+    assert.ok(!line.includes("�"), line);
+  }
+  // 折り返した行（3 バイト文字 40 個）を戻すと元の値になる
+  assert.ok(unfold(ics).includes(`X-WR-CALNAME:和時計の暦 2026（${name}）`));
+});
+
+test("TEXT 値は \\ ; , と改行をエスケープする", () => {
+  const ics = buildSeasonalCalendar(2026, { ...loc, name: "a\\b;c,d\ne" }, { now });
+  assert.ok(unfold(ics).includes("X-WR-CALNAME:和時計の暦 2026（a\\\\b\\;c\\,d\\ne）"));
+});
+
+test("節気・雑節の UID はタイムゾーン付き、明け六つ・暮れ六つの UID は観測地付き", () => {
+  const uids = zone => unfold(buildSeasonalCalendar(2026, { ...loc, timeZone: zone }, { now }))
+    .filter(l => l.startsWith("UID:"));
+
+  const tokyo = uids("Asia/Tokyo");
+  assert.equal(tokyo.length, 24 + 13);
+  assert.equal(new Set(tokyo).size, tokyo.length);
+  for (const uid of tokyo) {
+    assert.match(uid, /^UID:(sekki-2026-\d{1,2}|zassetsu-2026-\d{2}-\d{2}-\S+)-Asia_Tokyo@wadokei$/);
+  }
+  assert.ok(tokyo.includes("UID:zassetsu-2026-05-02-八十八夜-Asia_Tokyo@wadokei"));
+  assert.ok(uids("America/Los_Angeles").includes("UID:sekki-2026-4-America_Los_Angeles@wadokei"));
+
+  const withAkeKure = unfold(buildSeasonalCalendar(2026, loc, { now, akeKure: true }));
+  assert.ok(withAkeKure.includes("UID:ake-2026-06-21-35.69_139.75@wadokei"));
+  assert.ok(withAkeKure.includes("UID:kure-2026-06-21-35.69_139.75@wadokei"));
+  assert.equal(withAkeKure.filter(l => l.startsWith("UID:ake-")).length, 365);
+});
+
+test("年の範囲外・数字でない年は例外になる", () => {
+  assert.throws(() => buildSeasonalCalendar(99, loc), /100〜9999/);
+  assert.throws(() => buildSeasonalCalendar(Number("next"), loc), /年を数字で/);
+});
+
+test("2026 年の雑節（日本時の暦日）", () => {
+  const list = getZassetsuForYear(2026, "Asia/Tokyo").map(z => [z.name, z.start, z.end]);
+  assert.deepEqual(list, [
+    ["冬の土用", "2026-01-17", "2026-02-03"],
+    ["節分", "2026-02-03", "2026-02-03"],
+    ["春の社日", "2026-03-15", "2026-03-15"],
+    ["春の彼岸", "2026-03-17", "2026-03-23"],
+    ["春の土用", "2026-04-17", "2026-05-04"],
+    ["八十八夜", "2026-05-02", "2026-05-02"],
+    ["入梅", "2026-06-11", "2026-06-11"],
+    ["半夏生", "2026-07-02", "2026-07-02"],
+    ["夏の土用", "2026-07-20", "2026-08-06"],
+    ["二百十日", "2026-09-01", "2026-09-01"],
+    ["秋の彼岸", "2026-09-20", "2026-09-26"],
+    ["秋の社日", "2026-09-21", "2026-09-21"],
+    ["秋の土用", "2026-10-20", "2026-11-06"]
+  ]);
+});
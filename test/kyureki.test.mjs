@@ -0,0 +1,57 @@
+/**
+ * 旧暦（domain/kyureki.mjs）のテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getKyureki, formatKyureki, zonedTimeToUtc } from "../wadokei.mjs";
+
+const TZ = "Asia/Tokyo";
+
+// 日本時の日付 → その日の旧暦（天保暦）
+function kyureki(year, month, day) {
+  return getKyureki(new Date(zonedTimeToUtc(year, month, day, 12, 0, 0, TZ)), "天保暦", TZ);
+}
+
+// [新暦の日付, 旧暦の表示]（閏月の初日・末日と、その翌月の初日）
+const CASES = [
+  [[2023, 3, 22], "2023年 閏2月（如月）1日"],
+  [[2023, 4, 19], "2023年 閏2月（如月）29日"],
+  [[2023, 4, 20], "2023年 3月（弥生）1日"],
+  [[2025, 7, 25], "2025年 閏6月（水無月）1日"],
+  [[2025, 8, 22], "2025年 閏6月（水無月）29日"],
+  [[2025, 8, 23], "2025年 7月（文月）1日"],
+  [[2028, 6, 22], "2028年 5月（皐月）30日"],
+  [[2028, 6, 23], "2028年 閏5月（皐月）1日"],
+  [[2028, 7, 22], "2028年 6月（水無月）1日"],
+  [[2033, 12, 22], "2033年 閏11月（霜月）1日"],
+  [[2034, 1, 19], "2033年 閏11月（霜月）29日"],
+  [[2034, 1, 20], "2033年 12月（師走）1日"]
+];
+
+test("天保暦の閏月（2023 閏2月・2025 閏6月・2028 閏5月・2033 閏11月）", () => {
+  for (const [date, expected] of CASES) {
+    assert.equal(formatKyureki(kyureki(...date)), expected, date.join("-"));
+  }
+});
+
+test("旧正月（2026 年は 2 月 17 日）の前日は前年の師走", () => {
+  const newYear = kyureki(2026, 2, 17);
+  assert.deepEqual([newYear.year, newYear.month, newYear.day, newYear.leap], [2026, 1, 1, false]);
+  assert.equal(newYear.monthName, "睦月");
+
+  const eve = kyureki(2026, 2, 16);
+  assert.deepEqual([eve.year, eve.month, eve.leap], [2025, 12, false]);
+});
+
+test("朔日は朔の瞬間を含む日で、月齢は朔からの日数", () => {
+  const k = kyureki(2025, 7, 25);
+  assert.equal(k.monthStart.getTime(), zonedTimeToUtc(2025, 7, 25, 0, 0, 0, TZ));
+  assert.ok(k.monthStart <= k.newMoon && k.newMoon - k.monthStart < 86400000);
+  assert.ok(Math.abs(k.moonAge - (zonedTimeToUtc(2025, 7, 25, 12, 0, 0, TZ) - k.newMoon) / 86400000) < 1e-9);
+});
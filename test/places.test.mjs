@@ -0,0 +1,33 @@
+/**
+ * 観測地のプリセット・タイムゾーンの決定（domain/places.mjs）のテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveTimeZoneInfo, timeZoneCandidates } from "../wadokei.mjs";
+
+test("resolveTimeZoneInfo は明示・プリセット・日本の範囲を確かなものとして返す", () => {
+  assert.deepEqual(resolveTimeZoneInfo("Europe/Berlin", 52.52, 13.405), { timeZone: "Europe/Berlin", source: "config", guessed: false });
+  assert.deepEqual(resolveTimeZoneInfo("auto", 35.685175, 139.752799), { timeZone: "Asia/Tokyo", source: "preset", guessed: false });
+  assert.deepEqual(resolveTimeZoneInfo("auto", 26.2, 127.7), { timeZone: "Asia/Tokyo", source: "japan", guessed: false });
+});
+
+test("日本の外の緯度経度は推定（guessed）になる", () => {
+  const info = resolveTimeZoneInfo("auto", 52.52, 13.405);
+  assert.equal(info.guessed, true);
+  assert.ok(info.source === "device" || info.source === "longitude", info.source);
+});
+
+test("timeZoneCandidates は経度の時差に近い地域のタイムゾーンを返す", () => {
+  const berlin = timeZoneCandidates(13.405);
+  assert.ok(berlin.includes("Europe/Berlin"));
+  assert.ok(!berlin.includes("Asia/Tokyo"));
+  assert.ok(berlin.every(tz => !tz.startsWith("Etc/") && tz !== "UTC"));
+  assert.ok(timeZoneCandidates(-74.0).includes("America/New_York"));
+  assert.ok(timeZoneCandidates(139.75).includes("Asia/Tokyo"));
+});
@@ -0,0 +1,83 @@
+/**
+ * 太陽関連の計算（utils/taiyou.mjs）のテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ComputeSunData, fromWadoTime, toWadoTime, wadoReading, getSekkiForYear, zonedTimeToUtc } from "../wadokei.mjs";
+
+// 江戸（皇居）
+const loc = { lat: 35.685175, lon: 139.752799, timeZone: "Asia/Tokyo", boundary: { model: "伏角" }, dayBoundary: "正子" };
+
+test("fromWadoTime の時刻は二十四節気を通して盤面の読みと一致する", () => {
+  for (const sekki of getSekkiForYear(2026)) {
+    for (const expr of ["暁七つ", "昼八つ半", "暮れ六つ", "夜九つ"]) {
+      const t = fromWadoTime(sekki.start, expr, loc);
+      assert.equal(wadoReading(toWadoTime(t, loc)).text, expr, `${sekki.name} ${expr}`);
+    }
+  }
+});
+
+test("干支・数の指定は同じ刻の表記と同じ時刻になる", () => {
+  const date = new Date("2026-08-07T03:00:00Z");
+  const at = expr => fromWadoTime(date, expr, loc).getTime();
+
+  assert.equal(at("酉の刻"), at("暮れ六つ"));
+  assert.equal(at({ zodiac: "酉" }), at("暮れ六つ"));
+  assert.equal(at({ number: 9, period: "夜" }), at("夜九つ"));
+  assert.equal(at({ number: "八", period: "昼", offset: 0.5 }), at("昼八つ半"));
+  assert.equal(at("未の刻半"), at("昼八つ半"));
+  // 初刻は刻の始まり（一つ前の刻の半）
+  assert.equal(at("子の初刻"), at("夜四つ半"));
+});
+
+test("不明な干支・刻は例外になる", () => {
+  const date = new Date("2026-08-07T03:00:00Z");
+  assert.throws(() => fromWadoTime(date, { zodiac: "猫" }, loc), /不明な干支/);
+  assert.throws(() => fromWadoTime(date, { number: 3, period: "昼" }, loc), /刻を特定できません/);
+  assert.throws(() => fromWadoTime(date, "昼十つ", loc), /解釈できません/);
+});
+
+test("ComputeSunData の明け六つ・暮れ六つは日の出前・日の入り後で、日の区切りは常用時の 0 時", () => {
+  const sun = ComputeSunData(new Date("2026-06-21T03:00:00Z"), loc);
+  assert.equal(sun.polar, null);
+  assert.equal(sun.timeZone, "Asia/Tokyo");
+  assert.ok(sun.ake < sun.sunrise && sun.sunset < sun.kure);
+  assert.equal(sun.dayStart, zonedTimeToUtc(2026, 6, 21, 0, 0, 0, "Asia/Tokyo"));
+  assert.equal(sun.dayEnd, zonedTimeToUtc(2026, 6, 22, 0, 0, 0, "Asia/Tokyo"));
+  assert.equal(sun.noon, zonedTimeToUtc(2026, 6, 21, 12, 0, 0, "Asia/Tokyo"));
+
+  // 日出入は日の出・日の入りそのもの
+  const plain = ComputeSunData(new Date("2026-06-21T03:00:00Z"), { ...loc, boundary: "日出入" });
+  assert.equal(plain.ake, plain.sunrise);
+  assert.equal(plain.kure, plain.sunset);
+});
+
+test("ComputeSunData の明け六つ区切りは明け六つ前を前日の続きにする", () => {
+  const edoAke = { ...loc, dayBoundary: "明け六つ" };
+  const day = ComputeSunData(new Date("2026-06-21T03:00:00Z"), edoAke);
+  const before = ComputeSunData(new Date(day.ake - 60000), edoAke);
+  assert.equal(day.dayStart, day.ake);
+  assert.equal(before.dayEnd, day.ake);
+  assert.equal(before.akeNext, day.ake);
+  assert.ok(day.kurePrev < day.ake && day.kure < day.akeNext);
+});
+
+test("白夜・極夜は南中の前後 6 時間を明け六つ・暮れ六つとする", () => {
+  const tromso = { lat: 69.6492, lon: 18.9553, timeZone: "Europe/Oslo", boundary: "日出入" };
+  const summer = ComputeSunData(new Date("2026-06-21T10:00:00Z"), tromso);
+  const winter = ComputeSunData(new Date("2026-12-21T10:00:00Z"), tromso);
+
+  assert.equal(summer.polar, "白夜");
+  assert.equal(winter.polar, "極夜");
+  for (const sun of [summer, winter]) {
+    assert.equal(sun.sunrise, null);
+    assert.equal(sun.kure - sun.ake, 12 * 3600 * 1000);
+    assert.ok(Number.isFinite(sun.trueNoon));
+  }
+});
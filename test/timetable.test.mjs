@@ -0,0 +1,59 @@
+/**
+ * 刻の時刻表（domain/timetable.mjs）のテスト
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 実行: node --test test/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildKokuTimetable, timetableToCsv, timetableToJson, TIMETABLE_MAX_DAYS } from "../wadokei.mjs";
+
+const loc = { lat: 35.685175, lon: 139.752799, timeZone: "Asia/Tokyo", boundary: { model: "伏角" }, dayBoundary: "正子" };
+
+test("CSV は見出しと 1 日 1 行を CRLF で出す（夏至の江戸）", () => {
+  const csv = timetableToCsv(buildKokuTimetable("2026-06-21", "2026-06-21", loc));
+  const golden = [
+    "日付,節気,日の出,日の入り,明け六つ,暮れ六つ,昼の一刻（分）,夜の一刻（分）," +
+      "卯（明け六つ）開始,辰（朝五つ）開始,巳（昼四つ）開始,午（昼九つ）開始,未（昼八つ）開始,申（夕七つ）開始," +
+      "酉（暮れ六つ）開始,戌（宵五つ）開始,亥（夜四つ）開始,子（夜九つ）開始,丑（暁八つ）開始,寅（暁七つ）開始,寅 終了",
+    "2026-06-21,芒種,2026-06-21T04:26:37+09:00,2026-06-21T19:01:11+09:00,2026-06-21T03:47:14+09:00,2026-06-21T19:38:34+09:00,158.6,81.4," +
+      "2026-06-21T03:06:30+09:00,2026-06-21T05:06:30+09:00,2026-06-21T07:45:04+09:00,2026-06-21T10:23:37+09:00," +
+      "2026-06-21T13:02:10+09:00,2026-06-21T15:40:44+09:00,2026-06-21T18:19:17+09:00,2026-06-21T20:19:17+09:00," +
+      "2026-06-21T21:40:44+09:00,2026-06-21T23:02:10+09:00,2026-06-22T00:23:37+09:00,2026-06-22T01:45:04+09:00," +
+      "2026-06-22T03:06:30+09:00",
+    ""
+  ].join("\r\n");
+  assert.equal(csv, golden);
+});
+
+test("half を指定した CSV・JSON は各刻の正刻も出す", () => {
+  const table = buildKokuTimetable("2026-06-21", "2026-06-22", loc);
+  const [header, first] = timetableToCsv(table, { half: true }).split("\r\n");
+  assert.equal(header.split(",").length, 8 + 12 * 2 + 1);
+  assert.ok(header.includes("卯（明け六つ）開始,卯（明け六つ）正刻,辰（朝五つ）開始"));
+  assert.equal(first.split(",")[9], "2026-06-21T03:47:14+09:00");
+
+  const json = JSON.parse(timetableToJson(table, { half: true }));
+  assert.equal(json.timeZone, "Asia/Tokyo");
+  assert.deepEqual(json.days.map(d => d.date), ["2026-06-21", "2026-06-22"]);
+  assert.deepEqual(json.days[0].koku[0], {
+    zodiac: "卯", name: "明け六つ",
+    start: "2026-06-21T03:06:30+09:00", end: "2026-06-21T05:06:30+09:00", center: "2026-06-21T03:47:14+09:00"
+  });
+  assert.equal(JSON.parse(timetableToJson(table)).days[0].koku[0].center, undefined);
+});
+
+test(`期間は ${TIMETABLE_MAX_DAYS} 日まで`, () => {
+  assert.equal(TIMETABLE_MAX_DAYS, 731);
+  assert.equal(buildKokuTimetable("2026-01-01", "2028-01-01", loc).days.length, 731);
+  assert.throws(() => buildKokuTimetable("2026-01-01", "2028-01-02", loc), /731 日まで/);
+});
+
+test("日付・期間の誤りは例外になる", () => {
+  assert.throws(() => buildKokuTimetable("2026-6-1", "2026-06-30", loc), /YYYY-MM-DD/);
+  assert.throws(() => buildKokuTimetable("2026-02-29", "2026-03-01", loc), /YYYY-MM-DD/);
+  assert.throws(() => buildKokuTimetable("2026-06-30", "2026-06-01", loc), /始まりより前/);
+});
@@ -0,0 +1,139 @@
+/* utils/datetime.mjs
+    * 日時の整形・タイムゾーン計算ユーティリティ
+    * 備考: timeZone は IANA 名（例: "Asia/Tokyo"）。省略時はブラウザのタイムゾーン
+    */
+
+// timeZone ごとの Intl.DateTimeFormat（生成コストが高いので使い回す）
+const zonedFormatters = new Map();
+
+export function getZonedFormatter(timeZone) {
+    const key = timeZone || "";
+    if (!zonedFormatters.has(key)) {
+        zonedFormatters.set(key, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric", month: "numeric", day: "numeric",
+            hour: "numeric", minute: "numeric", second: "numeric",
+            weekday: "short"
+        }));
+    }
+    return zonedFormatters.get(key);
+}
+
+/* 指定タイムゾーンでの年月日・時分秒
+*  戻り値: { year, month(1-12), day, hour, minute, second, weekday(0=日) }
+*/
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const p of getZonedFormatter(timeZone).formatToParts(date)) {
+        parts[p.type] = p.value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday)
+    };
+}
+
+/* UTC からのずれ（ミリ秒、東が正）
+*/
+export function getTimeZoneOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/* 指定タイムゾーンの壁時計時刻 → ミリ秒
+*  month は 1-12。日・時などの繰り上がりは Date.UTC と同じく自動調整
+*/
+export function zonedTimeToUtc(year, month, day, hour = 0, minute = 0, second = 0, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    let t = guess - getTimeZoneOffset(new Date(guess), timeZone);
+    // 夏時間の切り替わりをまたぐ場合はずれを取り直す
+    t = guess - getTimeZoneOffset(new Date(t), timeZone);
+    return t;
+}
+
+/* 指定タイムゾーンでその日の 0 時（ミリ秒）
+*/
+export function startOfZonedDay(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc(p.year, p.month, p.day, 0, 0, 0, timeZone);
+}
+
+/* 日付キー（例: "2026-10-19"）
+*/
+export function formatDateKey(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/* 残り時間の表記（例: "1:02:03"、1 時間未満は "42:10"）
+*/
+export function formatCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/* 時刻の差の表記（例: "+2分46秒" "−12分57秒"、秒単位で丸める）
+*/
+export function formatTimeDifference(ms) {
+    const total = Math.round(Math.abs(ms) / 1000);
+    const sign = total === 0 ? '±' : ms > 0 ? '+' : '−';
+    return `${sign}${Math.floor(total / 60)}分${String(total % 60).padStart(2, '0')}秒`;
+}
+
+/* 現地時刻の ISO 8601 表記（例: "2026-06-21T03:47:12+09:00"）
+*/
+export function formatZonedIso(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const pad = n => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+        formatUtcOffset(date, timeZone).slice(3);
+}
+
+/* UTC オフセットの表記（例: "UTC+09:00"）
+*/
+export function formatUtcOffset(date, timeZone) {
+    const offset = Math.round(getTimeZoneOffset(date, timeZone) / 60000);
+    const sign = offset < 0 ? '-' : '+';
+    const hh = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const mm = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `UTC${sign}${hh}:${mm}`;
+}
+
+/*  時刻を「HH:MM」形式に整形
+*/
+export function formatTime(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+/* 月日と時刻（例: "10/8 15:30"）
+*/
+export function formatMonthDayTime(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.month}/${p.day} ${formatTime(date, timeZone)}`;
+}
+
+
+/* 24時間制の日時フォーマット（timeZone の現地時刻）
+*/
+export function formatDateTime(d, timeZone) {
+    const p = getZonedParts(d, timeZone);
+    const y = p.year;
+    const m = String(p.month).padStart(2, '0');
+    const day = String(p.day).padStart(2, '0');
+    const hh = String(p.hour).padStart(2, '0');
+    const mm = String(p.minute).padStart(2, '0');
+    const ss = String(p.second).padStart(2, '0');
+    const wnames = ['日', '月', '火', '水', '木', '金', '土'];
+    return `${y}/${m}/${day} (${wnames[p.weekday]}) ${hh}:${mm}:${ss}`;
+}
@@ -0,0 +1,399 @@
+/* utils/taiyou.mjs
+    * 太陽関連の計算ユーティリティ
+    * SunCalcライブラリを使用
+    * 備考: Wadokeiエンジンの一部として使用（Node でも動く。loc の省略はブラウザのみ）
+    * 依存: SunCalc (https://github.com/mourner/suncalc、vendor/suncalc/ に同梱)
+    */
+
+import SunCalc from "../vendor/suncalc/suncalc.mjs";
+import { getZonedParts, zonedTimeToUtc } from "./datetime.mjs";
+import { computeKokuTable, findKoku, kokuQuarters, parseWadoTime, resolveWadoSpec, KOKU_ZODIAC } from "../domain/futeiji.mjs";
+import { resolveTimeZone } from "../domain/places.mjs";
+import { getSekki } from "../domain/24terms.mjs";
+
+// 寛政暦の伏角 7°21′40″（度）
+export const KANSEI_DEPRESSION = 7 + 21 / 60 + 40 / 3600;
+
+// 太陽の視半径 16′（度）
+const SUN_SEMIDIAMETER = 16 / 60;
+
+// 百刻法の二刻半（36分）
+const NIKOKUHAN_MS = 2.5 * 24 * 3600 * 1000 / 100;
+
+// SunCalc の日の出・日の入りの太陽高度（度、大気差と視半径を含む）
+const SUNRISE_ALTITUDE = -0.833;
+
+// 太陽高度の通過時刻のキャッシュ（地点・高度・南中ごと）
+const altitudeCrossingCache = new Map();
+const ALTITUDE_CROSSING_CACHE_SIZE = 2000;
+
+/* ページの設定（ブラウザでは Wadokei.config、Node などで Wadokei が無ければ {}）
+  * loc の省略・loc に無い項目の既定値に使う
+  */
+function pageConfig() {
+  return (globalThis.Wadokei && globalThis.Wadokei.config) || {};
+}
+
+/* 観測地（loc を省略できるのは Wadokei のあるページのみ）
+  */
+function observerLoc(loc) {
+  if (loc) return loc;
+  if (globalThis.Wadokei && globalThis.Wadokei.config) return globalThis.Wadokei.config;
+  throw new Error("観測地（loc: { lat, lon }）を指定してください");
+}
+
+/* 昼夜境界（明け六つ・暮れ六つ）の定義を正規化
+  * boundary: config.boundary（{ model, depression } または model 名の文字列）
+  *   model:
+  *     "日出入" - 日の出・日の入りをそのまま境界とする
+  *     "伏角"   - 太陽中心の伏角 depression 度（既定は寛政暦の 7°21′40″）
+  *     "天保暦" - 太陽の上辺が伏角 7°21′40″（中心では視半径 16′ を加える）
+  *     "二刻半" - 日の出前・日の入り後の二刻半（百刻法で 36 分）
+  * 戻り値: { model, depression, label }
+  */
+export function resolveBoundary(boundary) {
+  const b = typeof boundary === "string" ? { model: boundary } : { ...boundary };
+  const model = ["日出入", "伏角", "天保暦", "二刻半"].includes(b.model) ? b.model : "伏角";
+
+  switch (model) {
+    case "日出入":
+      return { model, depression: null, label: "日の出・日の入り" };
+    case "天保暦":
+      return { model, depression: KANSEI_DEPRESSION + SUN_SEMIDIAMETER, label: "天保暦（上辺 伏角 7°21′40″）" };
+    case "二刻半":
+      return { model, depression: null, label: "日出前・日入後 二刻半" };
+    default: {
+      const depression = Number.isFinite(b.depression) ? b.depression : KANSEI_DEPRESSION;
+      const label = Math.abs(depression - KANSEI_DEPRESSION) < 1e-4
+        ? "寛政暦（伏角 7°21′40″）"
+        : `伏角 ${formatDegrees(depression)}`;
+      return { model, depression, label };
+    }
+  }
+}
+
+/* 度 → 度分秒の表記（例: 7°21′40″）
+  */
+export function formatDegrees(deg) {
+  const total = Math.round(Math.abs(deg) * 3600);
+  const d = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = total % 60;
+  return `${deg < 0 ? "-" : ""}${d}°${m}′${s}″`;
+}
+
+/* 天文データ計算
+  * date: Dateオブジェクト（計算対象日時）
+  * loc: { lat, lon, boundary, timeZone, dayBoundary, adjustMode }（省略時は Wadokei.config）
+  *   dayBoundary: 日の区切り
+  *     "正子"     - 常用時の 0 時（既定）。夜の刻は昼の残りを 6 等分する
+  *     "明け六つ" - 江戸の日付。明け六つ前は前日の続きとし、
+  *                  夜の刻は前夜の暮れ六つ〜明け六つ、当夜の暮れ六つ〜翌明け六つを 6 等分する
+  *   adjustMode: 昼夜の割り方を変える間隔
+  *     "毎日" - その日の明け六つ・暮れ六つ（既定）
+  *     "節気" - 割駒を節気ごとに掛け替えた実物の和時計に倣い、節入りの日の明け六つ・暮れ六つを
+  *              次の節気まで同じ時刻のまま使う（一刻の長さは約 15 日間変わらない）
+  * 戻り値: {
+  *   sunrise, sunset, Lday, trueNoon, ake, kure, boundary, timeZone, noon, polar,
+  *   dayBoundary, dayStart, dayEnd, kurePrev, akeNext, adjustMode, exact, adjustSekki
+  * }
+  *   盤面・針・情報パネル・変換 API はすべてこの戻り値の ake/kure を共有する
+  *   timeZone: 日付の区切りに使った観測地のタイムゾーン
+  *   noon: その日の常用時 12:00（ミリ秒）
+  *   polar: 昼夜境界を求められない日は "白夜" / "極夜"、通常は null
+  *     このとき sunrise/sunset/Lday は null になり得て、ake/kure は
+  *     南中の前後 6 時間（昼夜とも一刻 2 時間の定時）とする
+  *   dayStart, dayEnd: この天文データが有効な範囲（ミリ秒）。日の区切りに従う
+  *   kurePrev, akeNext: 前夜の暮れ六つ・翌朝の明け六つ（"明け六つ" 区切りのときのみ）
+  *   exact: その日の天文計算どおりの { ake, kure, polar }（"節気" のときのみ。毎日なら ake/kure と同じなので無し）
+  *   adjustSekki: 割駒を合わせた節気 { name, start }（"節気" のときのみ。start は節入りの日時）
+  */
+export function ComputeSunData(date, loc) {
+  const { lat, lon, timeZone: zone } = observerLoc(loc);
+  const boundary = resolveBoundary((loc && loc.boundary) || pageConfig().boundary);
+  const timeZone = resolveTimeZone(zone, lat, lon);
+  const dayBoundary = ((loc && loc.dayBoundary) || pageConfig().dayBoundary) === "明け六つ"
+    ? "明け六つ"
+    : "正子";
+  const adjustMode = ((loc && loc.adjustMode) || pageConfig().adjustMode) === "節気" ? "節気" : "毎日";
+  const sunDay = adjustMode === "節気" ? computeSekkiSunDay : computeSunDay;
+
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const today = sunDay(year, month, day, lat, lon, boundary, timeZone);
+
+  if (dayBoundary === "正子") {
+    return {
+      ...today,
+      adjustMode,
+      dayBoundary,
+      dayStart: zonedTimeToUtc(year, month, day, 0, 0, 0, timeZone),
+      dayEnd: zonedTimeToUtc(year, month, day + 1, 0, 0, 0, timeZone)
+    };
+  }
+
+  // 明け六つ前は前日の続き（前日の暮れ六つ〜今朝の明け六つが前日の夜）
+  const shift = date.getTime() < today.ake ? -1 : 0;
+  const sun = shift === 0 ? today : sunDay(year, month, day - 1, lat, lon, boundary, timeZone);
+  const prev = sunDay(year, month, day + shift - 1, lat, lon, boundary, timeZone);
+  const next = shift === 0 ? sunDay(year, month, day + 1, lat, lon, boundary, timeZone) : today;
+
+  return {
+    ...sun,
+    adjustMode,
+    dayBoundary,
+    dayStart: sun.ake,
+    dayEnd: next.ake,
+    kurePrev: prev.kure,
+    akeNext: next.ake
+  };
+}
+
+/* 1 日分の天文データ（ComputeSunData の下請け）
+  * year, month(1-12), day: 観測地のタイムゾーンでの日付（繰り上がりは自動調整）
+  */
+function computeSunDay(year, month, day, lat, lon, boundary, timeZone) {
+  // 観測地の日付の正午で計算する（SunCalc はこの時刻に最も近い南中の日を返す）
+  const noon = zonedTimeToUtc(year, month, day, 12, 0, 0, timeZone);
+  const calcDate = new Date(noon);
+
+  const sunTimes = getSunTimes(calcDate, lat, lon);
+  const solarNoon = sunTimes.solarNoon.getTime();
+
+  // 日が昇らない・沈まない日は SunCalc が Invalid Date を返す
+  const sunrise = validTime(sunTimes.sunrise);
+  const sunset = validTime(sunTimes.sunset);
+  const Lday = sunrise !== null && sunset !== null ? sunset - sunrise : null;
+  const trueNoon = Lday !== null ? sunrise + Lday / 2 : solarNoon;
+
+  // -----------------------------
+  // 昼夜境界：明け六つ（ake）と暮れ六つ（kure）
+  // -----------------------------
+  let ake = null;
+  let kure = null;
+
+  // 境界となる太陽高度（日出入・二刻半は日の出・日の入りの高度）
+  const targetAlt = (boundary.depression !== null ? -boundary.depression : SUNRISE_ALTITUDE) * Math.PI / 180;
+
+  if (boundary.model === "日出入") {
+    ake = sunrise;
+    kure = sunset;
+  } else if (boundary.model === "二刻半") {
+    ake = sunrise !== null ? sunrise - NIKOKUHAN_MS : null;
+    kure = sunset !== null ? sunset + NIKOKUHAN_MS : null;
+  } else {
+    // 伏角（寛政暦・天保暦）: 太陽高度が -depression になる時刻
+    const crossing = findAltitudeCrossings(solarNoon, targetAlt, lat, lon);
+    ake = crossing.rise;
+    kure = crossing.set;
+  }
+
+  // 白夜・極夜: 南中の前後 6 時間を明け六つ・暮れ六つとし、時計は止めない
+  // 南中でも日が昇らなければ極夜、それ以外（沈まない・暗くならない）は白夜
+  let polar = null;
+  if (ake === null || kure === null) {
+    const noonAlt = SunCalc.getPosition(new Date(solarNoon), lat, lon).altitude;
+    polar = noonAlt < SUNRISE_ALTITUDE * Math.PI / 180 ? "極夜" : "白夜";
+    ake = solarNoon - 6 * 3600 * 1000;
+    kure = solarNoon + 6 * 3600 * 1000;
+  }
+
+  return { sunrise, sunset, Lday, trueNoon, ake, kure, boundary, timeZone, noon, polar };
+}
+
+/* 節気ごとに割駒を掛け替えた 1 日分の天文データ（adjustMode "節気"、ComputeSunData の下請け）
+  * その日が属する節気（節入りの日から次の節入りの前日まで）の節入りの日の明け六つ・暮れ六つを、
+  * 常用時の同じ時刻のままその日に移す。日の出・日の入りは実際のもの
+  */
+function computeSekkiSunDay(year, month, day, lat, lon, boundary, timeZone) {
+  const today = computeSunDay(year, month, day, lat, lon, boundary, timeZone);
+
+  // その日の終わりの節気（節入りの日は新しい節気に入れる）
+  const dayEnd = zonedTimeToUtc(year, month, day + 1, 0, 0, 0, timeZone);
+  const sekki = getSekki(new Date(dayEnd - 1));
+  const start = getZonedParts(sekki.start, timeZone);
+  const ref = computeSunDay(start.year, start.month, start.day, lat, lon, boundary, timeZone);
+  const offset = today.noon - ref.noon;
+
+  return {
+    ...today,
+    ake: ref.ake + offset,
+    kure: ref.kure + offset,
+    polar: ref.polar,
+    exact: { ake: today.ake, kure: today.kure, polar: today.polar },
+    adjustSekki: { name: sekki.name, start: sekki.start }
+  };
+}
+
+/* 有効な Date ならミリ秒、Invalid Date なら null
+  */
+function validTime(date) {
+  const t = date ? date.getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+
+/* 不定時法 → 現代時刻（toWadoTime の逆変換）
+  * date: Dateオブジェクト（対象日。観測地のタイムゾーンでの日付を使い、時刻部分は無視）
+  * expr: 不定時法の表記（"暮六つ" "昼八つ半" "酉の刻" など）
+  *       または { zodiac } / { number, period } に offset（刻単位）を添えたオブジェクト
+  * loc: { lat, lon, timeZone, dayBoundary }（省略時は Wadokei.config）
+  * 戻り値: Dateオブジェクト
+  * 備考: 盤面と同じ ake/kure から組んだ刻の表を使うため、盤面表示と必ず一致する
+  */
+export function fromWadoTime(date, expr, loc) {
+  const { zodiac, offset } = typeof expr === "string"
+    ? parseWadoTime(expr)
+    : resolveWadoSpec(expr);
+
+  // 対象日の正午の天文データ（明け六つ区切りでもその日の昼を含む日になる）
+  const src = observerLoc(loc);
+  const timeZone = resolveTimeZone(src.timeZone, src.lat, src.lon);
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const sunOf = d => ComputeSunData(new Date(zonedTimeToUtc(year, month, day + d, 12, 0, 0, timeZone)), loc);
+  const sun = sunOf(0);
+
+  const candidates = Number.isInteger(offset * 4)
+    ? quarterCandidates(zodiac, offset * 4, [sunOf(-1), sun, sunOf(1)], loc)
+    : [];
+  if (candidates.length === 0) {
+    // 四半刻単位でない offset は正刻から前後の刻の長さで按分する
+    for (const k of computeKokuTable(sun).filter(k => k.zodiac === zodiac)) {
+      candidates.push(Math.round(offset >= 0
+        ? k.center + offset * 2 * (k.end - k.center)
+        : k.center + offset * 2 * (k.center - k.start)));
+    }
+  }
+
+  // 対象日（正子区切りは 0:00〜24:00、明け六つ区切りは明け六つ〜翌明け六つ）に
+  // 入るものを優先し、無ければ正午に近いもの
+  const { dayStart, dayEnd } = sun;
+  const inDay = candidates.find(t => dayStart <= t && t < dayEnd);
+  if (inDay !== undefined) {
+    return new Date(inDay);
+  }
+  const mid = (dayStart + dayEnd) / 2;
+  candidates.sort((a, b) => Math.abs(a - mid) - Math.abs(b - mid));
+  return new Date(candidates[0]);
+}
+
+/* 正刻から quarters 四半刻ずらした時刻の候補（ミリ秒の配列、fromWadoTime の下請け）
+  * 刻の境界を越える分は隣の刻に送り、その刻の kokuQuarters()（wadoReading() と同じ区切り）から取る
+  * 正子区切りの日付の変わり目などでは隣り合う日の表で刻の区切りが少しずれるため、
+  * 前後の日の表も調べ、toWadoTime() がその時刻に使う刻と同じ刻から取った候補だけを残す
+  */
+function quarterCandidates(zodiac, quarters, suns, loc) {
+  const steps = 2 + quarters;
+  const n = ((steps % 4) + 4) % 4;
+  const index = (KOKU_ZODIAC.indexOf(zodiac) + Math.floor(steps / 4)) % 12;
+  const target = KOKU_ZODIAC[(index + 12) % 12];
+
+  const candidates = [];
+  for (const s of suns) {
+    for (const k of computeKokuTable(s).filter(k => k.zodiac === target)) {
+      const t = kokuQuarters(k)[n];
+      const found = findKoku(t, loc).koku;
+      if (found.start === k.start && found.center === k.center && found.end === k.end && !candidates.includes(t)) {
+        candidates.push(t);
+      }
+    }
+  }
+  return candidates;
+}
+
+
+/*  日の出・日の入り時刻取得
+  * date: Dateオブジェクト（計算対象日時）
+  * lat: 緯度（度）
+  * lon: 経度（度）
+  * 戻り値: { sunrise: Date, sunset: Date, solarNoon: Date }
+  *   sunrise/sunset は白夜・極夜では Invalid Date
+  */
+export function getSunTimes(date, lat, lon) {
+  const times = SunCalc.getTimes(date, lat, lon);
+  return {
+    sunrise: times.sunrise,
+    sunset: times.sunset,
+    solarNoon: times.solarNoon
+  };
+}
+
+/* 太陽高度が targetAlt を横切る時刻（挟み込み法）
+  * start, end: 探索範囲（ミリ秒）。この範囲で太陽高度は単調に変化すること
+  * targetAlt: 太陽高度（ラジアン）
+  * tolerance: 許容誤差（ミリ秒、既定 1 秒）
+  * 戻り値: ミリ秒（範囲内で横切らなければ null）
+  * 備考: Illinois 法（改良はさみうち法）。半日の範囲でも 10 回前後の評価で 1 秒に収束する
+  */
+function findAltitudeTime(start, end, targetAlt, lat, lon, tolerance = 1000) {
+  const f = t => SunCalc.getPosition(new Date(t), lat, lon).altitude - targetAlt;
+
+  let a = start, fa = f(a);
+  let b = end, fb = f(b);
+  if (fa === 0) return a;
+  if (fb === 0) return b;
+  if (fa * fb > 0) return null;
+
+  let side = 0;
+  for (let i = 0; i < 100 && b - a > tolerance; i++) {
+    const c = (a * fb - b * fa) / (fb - fa);
+    const fc = f(c);
+    if (fc === 0) {
+      return Math.round(c);
+    }
+    if (fc * fb > 0) {
+      // 同じ側が続いたら反対側の値を半分にして収束を速める
+      b = c;
+      fb = fc;
+      if (side === -1) fa /= 2;
+      side = -1;
+    } else {
+      a = c;
+      fa = fc;
+      if (side === 1) fb /= 2;
+      side = 1;
+    }
+  }
+  return Math.round((a + b) / 2);
+}
+
+/* 南中の前後半日で太陽高度が targetAlt を横切る時刻
+  * solarNoon: 南中時刻（ミリ秒）
+  * targetAlt: 太陽高度（ラジアン）
+  * 戻り値: { rise, set }（ミリ秒。横切らなければ null）
+  * 備考: 南中と前後の正子（南中 ∓12 時間）の間では太陽高度が単調なので、
+  *       それぞれ根はちょうど 1 つか 0 個。結果はキャッシュする
+  */
+function findAltitudeCrossings(solarNoon, targetAlt, lat, lon) {
+  const key = `${lat}:${lon}:${targetAlt}:${solarNoon}`;
+  if (altitudeCrossingCache.has(key)) {
+    return altitudeCrossingCache.get(key);
+  }
+
+  const half = 12 * 3600 * 1000;
+  const result = {
+    rise: findAltitudeTime(solarNoon - half, solarNoon, targetAlt, lat, lon),
+    set: findAltitudeTime(solarNoon, solarNoon + half, targetAlt, lat, lon)
+  };
+
+  if (altitudeCrossingCache.size >= ALTITUDE_CROSSING_CACHE_SIZE) {
+    altitudeCrossingCache.clear();
+  }
+  altitudeCrossingCache.set(key, result);
+  return result;
+}
+
+/* 指定日の太陽高度の通過時刻（1 日単位でキャッシュ）
+  * date: Dateオブジェクト（観測地のタイムゾーンでの日付を使う）
+  * altitude: 太陽高度（度。例: 寛政暦の明け六つは -7.361111）
+  * loc: { lat, lon, timeZone }（省略時は Wadokei.config）
+  * 戻り値: { rise, set, solarNoon }（ミリ秒。横切らない日は rise/set が null）
+  */
+export function getAltitudeCrossings(date, altitude, loc) {
+  const { lat, lon, timeZone: zone } = observerLoc(loc);
+  const timeZone = resolveTimeZone(zone, lat, lon);
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const noon = zonedTimeToUtc(year, month, day, 12, 0, 0, timeZone);
+  const solarNoon = getSunTimes(new Date(noon), lat, lon).solarNoon.getTime();
+
+  return { ...findAltitudeCrossings(solarNoon, altitude * Math.PI / 180, lat, lon), solarNoon };
+}
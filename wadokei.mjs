@@ -0,0 +1,45 @@
+/**
+ * 和時計の計算エンジン（ES モジュール）
+ *
+ * 作成日: 2026-10-19
+ * 著者: Tsutomu Hayashi
+ *
+ * 概要:
+ *   盤面と同じ不定時法・二十四節気・旧暦の計算を、Canvas・DOM なしで使えるようにまとめる。
+ *   ブラウザでも Node（18 以降）でも動き、SunCalc は vendor/suncalc/ の同梱版を使う。
+ *   ブラウザのページ（index.html / embed.html）は core/globals.mjs 経由で同じ関数を使う。
+ *
+ * 使い方（Node）:
+ *   import { toWadoTime, computeKokuTable, ComputeSunData } from "./wadokei.mjs";
+ *   const loc = { lat: 35.6812, lon: 139.7671 };
+ *   toWadoTime(new Date(), loc);                            // 現在の刻
+ *   computeKokuTable(ComputeSunData(new Date(), loc));      // その日の刻の表
+ *   computeDialAngles(ComputeSunData(new Date(), loc), "午上"); // 盤面の角度
+ *
+ * 備考:
+ *   - loc（{ lat, lon, timeZone, boundary, dayBoundary }）は省略できない（ページ以外に Wadokei.config が無いため）
+ *   - timeZone を省略すると観測地から決める（domain/places.mjs の resolveTimeZone）
+ *
+ * @module wadokei
+ */
+
+export {
+  getZonedParts, zonedTimeToUtc, startOfZonedDay, getTimeZoneOffset,
+  formatDateKey, formatUtcOffset, formatZonedIso, formatCountdown, formatTimeDifference, formatTime, formatMonthDayTime, formatDateTime
+} from "./utils/datetime.mjs";
+export {
+  ComputeSunData, fromWadoTime, getSunTimes, getAltitudeCrossings,
+  resolveBoundary, formatDegrees, KANSEI_DEPRESSION
+} from "./utils/taiyou.mjs";
+export {
+  computeKokuTable, computeDialAngles, computePillarScale, pillarPosition, findKoku, toWadoTime, kokuQuarters, wadoReading, parseWadoTime, resolveWadoSpec, kokuName,
+  KOKU_ZODIAC, KOKU_NUMBERS, DAY_MS
+} from "./domain/futeiji.mjs";
+export { getSekki, getSekkiForYear, getKou, solarLongitude } from "./domain/24terms.mjs";
+export { getKyureki, formatKyureki, CAL_MODES, SYNODIC_MONTH } from "./domain/kyureki.mjs";
+export { PLACES, findPlace, findPlaceByCoords, resolveTimeZone, resolveTimeZoneInfo, timeZoneCandidates } from "./domain/places.mjs";
+export { getZassetsuForYear, dayStem } from "./domain/zassetsu.mjs";
+export { getSeasonalEvents, buildSeasonalCalendar } from "./domain/ics.mjs";
+export { buildKokuTimetable, timetableToCsv, timetableToJson, TIMETABLE_MAX_DAYS } from "./domain/timetable.mjs";
+export { ALARM_REPEATS, normalizeAlarm, nextAlarmTime, describeAlarmRepeat } from "./domain/alarm.mjs";
+export { default as SunCalc } from "./vendor/suncalc/suncalc.mjs";